@@ -3,8 +3,26 @@
 "use strict";
 
 // load all necessary modules
+const MemoryDatabase = require("./lib/memoryDatabase");
+const MongoConflictError = require("./lib/mongoConflictError");
+const MongoConnectionRegistry = require("./lib/mongoConnectionRegistry");
 const MongoDatabase = require("./lib/mongoDatabase");
 const MongoLog = require("./lib/mongoLog");
+const MongoLogTransport = require("./lib/mongoLogTransport");
+const MongoMigrator = require("./lib/mongoMigrator");
 const MongoModel = require("./lib/mongoModel");
+const MongoValidationError = require("./lib/mongoValidationError");
+const TenantManager = require("./lib/tenantManager");
 
-module.exports = { MongoDatabase, MongoLog, MongoModel };
+module.exports = {
+  MemoryDatabase,
+  MongoConflictError,
+  MongoConnectionRegistry,
+  MongoDatabase,
+  MongoLog,
+  MongoLogTransport,
+  MongoMigrator,
+  MongoModel,
+  MongoValidationError,
+  TenantManager,
+};
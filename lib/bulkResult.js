@@ -0,0 +1,136 @@
+// bulkResult.js:
+
+"use strict";
+
+/**
+ * Summarizes the outcome of a mongoose `bulkWrite()`, whether it succeeded
+ * or failed part way through.
+ *
+ * Error indexes refer to the caller's operations, even when mongoose skipped
+ * operations that failed validation before sending the rest to the server.
+ *
+ * @param {number} operationCount - Number of operations submitted.
+ * @param {object|null} result - Driver BulkWriteResult, when the call resolved.
+ * @param {Error|null} [error=null] - MongoBulkWriteError, when the call rejected.
+ * @returns {{
+ *   ok: boolean,
+ *   insertedCount: number,
+ *   matchedCount: number,
+ *   modifiedCount: number,
+ *   deletedCount: number,
+ *   upsertedCount: number,
+ *   insertedIds: object,
+ *   upsertedIds: object,
+ *   errors: Array<{ index: number|null, code: number|null, message: string }>
+ * }}
+ */
+function summarizeBulkWrite(operationCount, result, error = null) {
+  const outcome = result ?? error?.result ?? {};
+  const validationErrors = (error ?? result)?.mongoose?.validationErrors ?? [];
+  const results = (error ?? result)?.mongoose?.results ?? [];
+
+  // The driver numbers only the operations mongoose actually sent
+  const sentIndexes = [];
+  for (let index = 0; index < operationCount; index++) {
+    if (!validationErrors.includes(results[index])) sentIndexes.push(index);
+  }
+  const toIndex = index => sentIndexes[index] ?? index;
+
+  const errors = [];
+
+  results.forEach((item, index) => {
+    if (validationErrors.includes(item)) {
+      errors.push({ index, code: null, message: item.message });
+    }
+  });
+
+  const writeErrors = [].concat(error?.writeErrors ?? []);
+  for (const writeError of writeErrors) {
+    errors.push({
+      index: toIndex(writeError.index),
+      code: writeError.code ?? null,
+      message: writeError.errmsg ?? writeError.message,
+    });
+  }
+
+  if (error && writeErrors.length === 0) {
+    errors.push({
+      index: null,
+      code: error.code ?? null,
+      message: error.message,
+    });
+  }
+
+  errors.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+
+  return {
+    ok: errors.length === 0,
+    insertedCount: outcome.insertedCount ?? 0,
+    matchedCount: outcome.matchedCount ?? 0,
+    modifiedCount: outcome.modifiedCount ?? 0,
+    deletedCount: outcome.deletedCount ?? 0,
+    upsertedCount: outcome.upsertedCount ?? 0,
+    insertedIds: remapIds(outcome.insertedIds, toIndex),
+    upsertedIds: remapIds(outcome.upsertedIds, toIndex),
+    errors,
+  };
+}
+
+/**
+ * Adds operations rejected before a bulk write to its summary, mapping the
+ * summary's indexes back to the caller's operations.
+ *
+ * @param {object} summary - `summarizeBulkWrite()` result for the sent operations.
+ * @param {Array<number>} sentIndexes - Caller's index of each sent operation.
+ * @param {Array<{ index: number, code: number|null, message: string }>} rejected
+ *   - Errors of the operations that were not sent.
+ * @returns {object} The summary for all of the caller's operations.
+ */
+function withRejectedOperations(summary, sentIndexes, rejected) {
+  const toIndex = index => sentIndexes[index] ?? index;
+
+  const errors = summary.errors
+    .map(error => ({
+      ...error,
+      index: error.index === null ? null : toIndex(error.index),
+    }))
+    .concat(rejected)
+    .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+
+  return {
+    ...summary,
+    ok: errors.length === 0,
+    insertedIds: remapIds(summary.insertedIds, toIndex),
+    upsertedIds: remapIds(summary.upsertedIds, toIndex),
+    errors,
+  };
+}
+
+/**
+ * Checks whether an error thrown by `bulkWrite()` carries a partial result.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isBulkWriteError(error) {
+  return Boolean(error?.writeErrors || error?.result || error?.mongoose);
+}
+
+/**
+ * Re-keys a driver `{ index: id }` map by the caller's operation indexes.
+ */
+function remapIds(ids = {}, toIndex) {
+  const remapped = {};
+
+  for (const [index, id] of Object.entries(ids)) {
+    remapped[toIndex(Number(index))] = id;
+  }
+
+  return remapped;
+}
+
+module.exports = {
+  isBulkWriteError,
+  summarizeBulkWrite,
+  withRejectedOperations,
+};
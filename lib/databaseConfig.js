@@ -0,0 +1,165 @@
+// databaseConfig.js:
+
+"use strict";
+
+// load all necessary modules
+const Schema = require("zyx-schema");
+
+// Destructure schema types needed by validation
+const { booleanType, integerType, stringType } = Schema.types;
+
+const READ_PREFERENCES = [
+  "primary",
+  "primaryPreferred",
+  "secondary",
+  "secondaryPreferred",
+  "nearest",
+];
+
+const READ_CONCERNS = [
+  "local",
+  "available",
+  "majority",
+  "linearizable",
+  "snapshot",
+];
+
+/**
+ * Tenant config keys understood by MongoDatabase.connect().
+ */
+const databaseSchema = new Schema({
+  db_url: stringType({ min: 1, max: 1024, required: true }),
+  db_app_name: stringType({ min: 1, max: 128, required: false }),
+  db_auth_source: stringType({ min: 1, max: 64, required: false }),
+  db_max_pool_size: integerType({ min: 1, max: 1000, required: false }),
+  db_min_pool_size: integerType({ min: 0, max: 1000, required: false }),
+  db_max_idle_time_ms: integerType({ min: 0, max: 3600000, required: false }),
+  db_server_selection_timeout_ms: integerType({
+    min: 1,
+    max: 600000,
+    required: false,
+  }),
+  db_connect_timeout_ms: integerType({ min: 0, max: 600000, required: false }),
+  db_socket_timeout_ms: integerType({ min: 0, max: 3600000, required: false }),
+  db_tls: booleanType({ required: false }),
+  db_tls_ca_file: stringType({ min: 1, max: 1024, required: false }),
+  db_tls_cert_key_file: stringType({ min: 1, max: 1024, required: false }),
+  db_tls_cert_key_file_password: stringType({
+    min: 1,
+    max: 255,
+    required: false,
+  }),
+  db_tls_allow_invalid_certificates: booleanType({ required: false }),
+  db_tls_allow_invalid_hostnames: booleanType({ required: false }),
+  db_read_preference: stringType({ min: 1, max: 32, required: false }),
+  db_write_concern: stringType({ min: 1, max: 64, required: false }),
+  db_write_concern_timeout_ms: integerType({
+    min: 0,
+    max: 600000,
+    required: false,
+  }),
+  db_journal: booleanType({ required: false }),
+  db_retry_writes: booleanType({ required: false }),
+  db_retry_reads: booleanType({ required: false }),
+  db_read_only: booleanType({ required: false }),
+});
+
+/**
+ * Validates the `db_*` keys of a tenant config and maps them onto MongoDB
+ * driver options.
+ *
+ * @param {object} config - Tenant config.
+ * @returns {{ uri: string, options: object, readOnly: boolean }} The
+ *   connection URI, driver options and whether models may only read.
+ * @throws {Error} A single error listing every invalid key.
+ */
+function parseDatabaseConfig(config = {}) {
+  const { validated, errors } = databaseSchema.validate(config);
+  const messages = errors.map(e => e.message);
+
+  if (
+    validated.db_read_preference !== undefined &&
+    !READ_PREFERENCES.includes(validated.db_read_preference)
+  ) {
+    messages.push(
+      `db_read_preference must be one of: ${READ_PREFERENCES.join(", ")}`
+    );
+  }
+
+  if (
+    validated.db_write_concern !== undefined &&
+    !/^(majority|\d+)$/.test(validated.db_write_concern)
+  ) {
+    messages.push(`db_write_concern must be "majority" or a number`);
+  }
+
+  if (
+    validated.db_min_pool_size !== undefined &&
+    validated.db_max_pool_size !== undefined &&
+    validated.db_min_pool_size > validated.db_max_pool_size
+  ) {
+    messages.push("db_min_pool_size cannot exceed db_max_pool_size");
+  }
+
+  if (messages.length > 0) {
+    throw new Error(`Invalid database config: ${messages.join(", ")}`);
+  }
+
+  const usesTlsFiles = Boolean(
+    validated.db_tls_ca_file || validated.db_tls_cert_key_file
+  );
+
+  const writeConcern = withoutUndefined({
+    w: /^\d+$/.test(validated.db_write_concern ?? "")
+      ? Number(validated.db_write_concern)
+      : validated.db_write_concern,
+    wtimeoutMS: validated.db_write_concern_timeout_ms,
+    journal: validated.db_journal,
+  });
+
+  const options = {
+    appName: validated.db_app_name,
+    authSource: validated.db_auth_source,
+    maxPoolSize: validated.db_max_pool_size,
+    minPoolSize: validated.db_min_pool_size,
+    maxIdleTimeMS: validated.db_max_idle_time_ms,
+    serverSelectionTimeoutMS: validated.db_server_selection_timeout_ms ?? 10000,
+    connectTimeoutMS: validated.db_connect_timeout_ms,
+    socketTimeoutMS: validated.db_socket_timeout_ms,
+    tls: validated.db_tls ?? (usesTlsFiles || undefined),
+    tlsCAFile: validated.db_tls_ca_file,
+    tlsCertificateKeyFile: validated.db_tls_cert_key_file,
+    tlsCertificateKeyFilePassword: validated.db_tls_cert_key_file_password,
+    tlsAllowInvalidCertificates: validated.db_tls_allow_invalid_certificates,
+    tlsAllowInvalidHostnames: validated.db_tls_allow_invalid_hostnames,
+    readPreference: validated.db_read_preference,
+    writeConcern:
+      Object.keys(writeConcern).length > 0 ? writeConcern : undefined,
+    retryWrites: validated.db_retry_writes,
+    retryReads: validated.db_retry_reads,
+  };
+
+  return {
+    uri: validated.db_url,
+    options: withoutUndefined(options),
+    readOnly: validated.db_read_only ?? false,
+  };
+}
+
+/**
+ * Returns a copy of `object` without undefined values, so unset keys fall
+ * back to driver defaults.
+ * @param {object} object
+ * @returns {object}
+ */
+function withoutUndefined(object) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(object)) {
+    if (value !== undefined) result[key] = value;
+  }
+
+  return result;
+}
+
+module.exports = { READ_CONCERNS, READ_PREFERENCES, parseDatabaseConfig };
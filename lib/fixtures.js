@@ -0,0 +1,99 @@
+// fixtures.js:
+
+"use strict";
+
+// load all necessary modules
+const fs = require("fs");
+const path = require("path");
+const { BSON } = require("mongodb");
+const { isPlainObject } = require("./logFormat");
+
+const { EJSON } = BSON;
+
+const FIXTURE_FILE = /\.(json|c?js)$/;
+
+/**
+ * Reads fixtures into a map of model name to documents.
+ *
+ * `source` can be:
+ * - an object such as `{ user: [...], post: [...] }`;
+ * - a file (JSON, or JS exporting such an object or a function returning it);
+ * - a directory of files named after their model, e.g. `user.json`, each
+ *   holding (or exporting) an array of documents.
+ *
+ * Extended JSON values are revived, e.g. `{ "$oid": "..." }` becomes an
+ * ObjectId and `{ "$date": "..." }` a Date.
+ *
+ * @param {object|string} source - Fixture object, file or directory.
+ * @returns {Promise<Object<string, Array<object>>>}
+ * @throws {Error} If a file cannot be read or does not hold documents.
+ */
+async function readFixtures(source) {
+  let fixtures = {};
+
+  if (typeof source !== "string") {
+    fixtures = source ?? {};
+  } else if (fs.statSync(source).isDirectory()) {
+    const directory = path.resolve(source);
+
+    for (const file of fs.readdirSync(directory).sort()) {
+      if (!FIXTURE_FILE.test(file)) continue;
+
+      const name = file.replace(FIXTURE_FILE, "");
+      fixtures[name] = await readFile(path.join(directory, file));
+    }
+  } else {
+    fixtures = await readFile(path.resolve(source));
+  }
+
+  const result = {};
+  for (const [name, documents] of Object.entries(fixtures)) {
+    if (!Array.isArray(documents)) {
+      throw new Error(`Fixtures for "${name}" must be an array of documents.`);
+    }
+    result[name] = documents.map(revive);
+  }
+
+  return result;
+}
+
+/**
+ * Loads one fixture file; JS modules may export a (possibly async) function.
+ */
+async function readFile(file) {
+  if (file.endsWith(".json")) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  const exported = require(file);
+  return typeof exported === "function" ? exported() : exported;
+}
+
+/**
+ * Revives Extended JSON values such as `{ "$oid": ... }` and `{ "$date": ... }`
+ * anywhere in a document, leaving values that are already BSON types alone.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function revive(value) {
+  if (Array.isArray(value)) {
+    return value.map(revive);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length > 0 && keys.every(key => key.startsWith("$"))) {
+    return EJSON.deserialize(value, { relaxed: true });
+  }
+
+  const result = {};
+  for (const key of keys) {
+    result[key] = revive(value[key]);
+  }
+  return result;
+}
+
+module.exports = { readFixtures, revive };
@@ -0,0 +1,134 @@
+// logBuffer.js:
+
+"use strict";
+
+/**
+ * LogBuffer collects log entries in memory and writes them in batches,
+ * whenever `batchSize` entries are queued or `flushIntervalMS` has passed.
+ *
+ * The buffer holds at most `maxEntries` entries. When it is full, the
+ * "drop-oldest" policy discards the oldest entry, and "block" makes `push()`
+ * wait until a flush has made room.
+ */
+class LogBuffer {
+  #entries = [];
+  #write;
+  #onError;
+  #batchSize;
+  #flushIntervalMS;
+  #maxEntries;
+  #overflow;
+  #timer = null;
+  #flushing = null;
+  #dropped = 0;
+
+  /**
+   * Constructs a LogBuffer.
+   *
+   * @param {object} options
+   * @param {function(Array<object>): Promise<void>} options.write - Writes one batch.
+   * @param {function(Error, Array<object>): void} options.onError - Receives
+   *   batches that could not be written.
+   * @param {number} [options.batchSize=100] - Entries per write.
+   * @param {number} [options.flushIntervalMS=1000] - Maximum delay before a write.
+   * @param {number} [options.maxEntries=10000] - Maximum number of queued entries.
+   * @param {string} [options.overflow="drop-oldest"] - "drop-oldest" or "block".
+   */
+  constructor(options) {
+    this.#write = options.write;
+    this.#onError = options.onError;
+    this.#batchSize = options.batchSize ?? 100;
+    this.#flushIntervalMS = options.flushIntervalMS ?? 1000;
+    this.#maxEntries = options.maxEntries ?? 10000;
+    this.#overflow = options.overflow ?? "drop-oldest";
+  }
+
+  /**
+   * Number of entries waiting to be written.
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.length;
+  }
+
+  /**
+   * Number of entries discarded by the "drop-oldest" policy so far.
+   * @returns {number}
+   */
+  get dropped() {
+    return this.#dropped;
+  }
+
+  /**
+   * Queues an entry for writing.
+   *
+   * @param {object} entry - Log entry.
+   * @returns {Promise<void>} Resolves once the entry is queued.
+   */
+  async push(entry) {
+    while (this.#entries.length >= this.#maxEntries) {
+      if (this.#overflow === "block") {
+        await this.flush();
+      } else {
+        this.#entries.shift();
+        this.#dropped += 1;
+      }
+    }
+
+    this.#entries.push(entry);
+
+    if (this.#entries.length >= this.#batchSize) {
+      this.flush().catch(() => {});
+    } else if (!this.#timer) {
+      this.#timer = setTimeout(() => {
+        this.#timer = null;
+        this.flush().catch(() => {});
+      }, this.#flushIntervalMS);
+      this.#timer.unref?.();
+    }
+  }
+
+  /**
+   * Writes every queued entry, in batches.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+
+    while (this.#flushing) {
+      await this.#flushing;
+    }
+
+    if (this.#entries.length === 0) {
+      return;
+    }
+
+    this.#flushing = this.#drain();
+    try {
+      await this.#flushing;
+    } finally {
+      this.#flushing = null;
+    }
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Writes batches until the queue is empty; failed batches go to `onError`.
+   */
+  async #drain() {
+    while (this.#entries.length > 0) {
+      const batch = this.#entries.splice(0, this.#batchSize);
+
+      try {
+        await this.#write(batch);
+      } catch (err) {
+        this.#onError(err, batch);
+      }
+    }
+  }
+}
+
+module.exports = LogBuffer;
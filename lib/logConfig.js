@@ -0,0 +1,162 @@
+// logConfig.js:
+
+"use strict";
+
+// load all necessary modules
+const Schema = require("zyx-schema");
+
+// Destructure schema types needed by validation
+const { booleanType, integerType, stringType } = Schema.types;
+
+/**
+ * Severity of each log method; a threshold lets through its own level and above.
+ */
+const LOG_LEVELS = {
+  trace: 10,
+  debug: 20,
+  log: 30,
+  info: 30,
+  warn: 40,
+  error: 50,
+  assert: 50,
+};
+
+const OVERFLOW_POLICIES = ["drop-oldest", "block"];
+
+/**
+ * Tenant config keys understood by MongoLog.
+ */
+const logSchema = new Schema({
+  log_db_name: stringType({ min: 1, max: 63, required: false }),
+  log_collection_name: stringType({ min: 1, max: 120, required: false }),
+  log_console: booleanType({ required: false }),
+  log_level: stringType({ min: 1, max: 16, required: false }),
+  log_console_level: stringType({ min: 1, max: 16, required: false }),
+  log_expiration_days: integerType({ min: 1, max: 3650, required: false }),
+  log_capped: booleanType({ required: false }),
+  log_max_size: integerType({ min: 1, max: 1048576, required: false }),
+  log_max_docs: integerType({ min: 1, required: false }),
+  log_buffer: booleanType({ required: false }),
+  log_batch_size: integerType({ min: 1, max: 100000, required: false }),
+  log_flush_interval_ms: integerType({ min: 1, max: 3600000, required: false }),
+  log_buffer_max: integerType({ min: 1, required: false }),
+  log_overflow: stringType({ min: 1, max: 16, required: false }),
+  log_redact_paths: stringType({ min: 1, max: 4096, required: false }),
+  log_redact_patterns: stringType({ min: 1, max: 4096, required: false }),
+  log_redact_mask: stringType({ min: 1, max: 64, required: false }),
+  log_redact_defaults: booleanType({ required: false }),
+});
+
+/**
+ * Validates the `log_*` keys of a tenant config and applies their defaults.
+ *
+ * @param {object} config - Tenant config.
+ * @returns {{
+ *   dbName: string|undefined,
+ *   collectionName: string,
+ *   console: boolean,
+ *   level: string,
+ *   consoleLevel: string,
+ *   expirationDays: number,
+ *   capped: boolean,
+ *   maxSizeMB: number|undefined,
+ *   maxDocs: number|undefined,
+ *   buffer: boolean,
+ *   batchSize: number,
+ *   flushIntervalMS: number,
+ *   bufferMax: number,
+ *   overflow: string,
+ *   redactPaths: Array<string>,
+ *   redactPatterns: Array<string>,
+ *   redactMask: string,
+ *   redactDefaults: boolean
+ * }}
+ * @throws {Error} A single error listing every invalid key.
+ */
+function parseLogConfig(config = {}) {
+  const { validated, errors } = logSchema.validate(config);
+  const messages = errors.map(e => e.message);
+
+  for (const key of ["log_level", "log_console_level"]) {
+    if (
+      validated[key] !== undefined &&
+      !Object.hasOwn(LOG_LEVELS, validated[key])
+    ) {
+      messages.push(
+        `${key} must be one of: ${Object.keys(LOG_LEVELS).join(", ")}`
+      );
+    }
+  }
+
+  if (
+    validated.log_overflow !== undefined &&
+    !OVERFLOW_POLICIES.includes(validated.log_overflow)
+  ) {
+    messages.push(
+      `log_overflow must be one of: ${OVERFLOW_POLICIES.join(", ")}`
+    );
+  }
+
+  if (validated.log_capped && validated.log_expiration_days) {
+    messages.push("log_capped cannot be combined with log_expiration_days");
+  }
+
+  if (validated.log_capped && !validated.log_max_size) {
+    messages.push("log_max_size is required when log_capped is true");
+  }
+
+  const redactPaths = splitList(validated.log_redact_paths);
+  const redactPatterns = splitList(validated.log_redact_patterns);
+
+  for (const pattern of redactPatterns) {
+    try {
+      new RegExp(pattern);
+    } catch {
+      messages.push(
+        `log_redact_patterns contains an invalid pattern "${pattern}"`
+      );
+    }
+  }
+
+  if (messages.length > 0) {
+    throw new Error(`Invalid log config: ${messages.join(", ")}`);
+  }
+
+  const level = validated.log_level ?? "info";
+
+  return {
+    dbName: validated.log_db_name,
+    collectionName: validated.log_collection_name ?? "logs",
+    console: validated.log_console ?? true,
+    level,
+    consoleLevel: validated.log_console_level ?? level,
+    expirationDays: validated.log_expiration_days ?? 0,
+    capped: validated.log_capped ?? false,
+    maxSizeMB: validated.log_max_size,
+    maxDocs: validated.log_max_docs,
+    buffer: validated.log_buffer ?? false,
+    batchSize: validated.log_batch_size ?? 100,
+    flushIntervalMS: validated.log_flush_interval_ms ?? 1000,
+    bufferMax: validated.log_buffer_max ?? 10000,
+    overflow: validated.log_overflow ?? "drop-oldest",
+    redactPaths,
+    redactPatterns,
+    redactMask: validated.log_redact_mask ?? "[REDACTED]",
+    redactDefaults: validated.log_redact_defaults ?? true,
+  };
+}
+
+/**
+ * Splits a comma-separated config value into trimmed, non-empty items. A
+ * pattern that needs a literal comma can write it as `\x2c`.
+ * @param {string} [value]
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return (value ?? "")
+    .split(",")
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = { LOG_LEVELS, parseLogConfig };
@@ -0,0 +1,31 @@
+// logContext.js:
+
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with context fields (e.g. `requestId`, `correlationId`) that are
+ * added to every log entry written while it runs, including from async code
+ * it starts. Nested calls extend the outer context.
+ *
+ * @param {object} context - Fields to attach to log entries.
+ * @param {Function} fn - Function to run.
+ * @returns {*} The value returned by `fn`.
+ */
+function runWithLogContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+/**
+ * Returns the context fields of the current async context.
+ *
+ * @returns {object}
+ */
+function currentLogContext() {
+  return storage.getStore() ?? {};
+}
+
+module.exports = { currentLogContext, runWithLogContext };
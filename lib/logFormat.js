@@ -0,0 +1,147 @@
+// logFormat.js:
+
+"use strict";
+
+const MAX_DEPTH = 10;
+
+/**
+ * Turns console-style log arguments into a message and structured metadata.
+ *
+ * A trailing plain object becomes the metadata. Errors are summarized in the
+ * message and stored in full under `meta.error` (or `meta.errors`).
+ *
+ * @param {Array<*>} args - Arguments passed to a log method.
+ * @param {function(*): *} [redact] - Applied to the safe copy of every other
+ *   object before it is stringified into the message, e.g. to mask keys.
+ * @returns {{ message: string, meta: object }}
+ */
+function formatArgs(args, redact = value => value) {
+  const parts = [...args];
+  const meta = isPlainObject(parts[parts.length - 1]) ? { ...parts.pop() } : {};
+
+  const errors = parts.filter(part => part instanceof Error);
+  if (errors.length === 1 && meta.error === undefined) {
+    meta.error = errors[0];
+  } else if (errors.length > 1 && meta.errors === undefined) {
+    meta.errors = errors;
+  }
+
+  const message = parts
+    .map(part => {
+      if (typeof part === "string") return part;
+      if (part instanceof Error) return `${part.name}: ${part.message}`;
+      if (part !== null && typeof part === "object") {
+        return JSON.stringify(redact(toSafeValue(part)));
+      }
+      return String(part);
+    })
+    .join(" ");
+
+  return { message, meta };
+}
+
+/**
+ * Returns a copy of `value` that can be stored as BSON: errors are
+ * serialized, circular references replaced with "[Circular]", functions and
+ * symbols turned into strings, and nesting limited to a fixed depth.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function toSafeValue(value, ancestors = [], depth = 0) {
+  if (value === undefined || typeof value === "function") {
+    return typeof value === "function"
+      ? `[Function: ${value.name || "anonymous"}]`
+      : undefined;
+  }
+  if (typeof value === "bigint" || typeof value === "symbol") {
+    return value.toString();
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date || value._bsontype || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (ancestors.includes(value)) {
+    return "[Circular]";
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Truncated]";
+  }
+
+  const nested = [...ancestors, value];
+
+  if (value instanceof Error) {
+    return serializeError(value, nested, depth);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toSafeValue(item, nested, depth + 1) ?? null);
+  }
+  if (value instanceof Map) {
+    return toSafeValue(Object.fromEntries(value), ancestors, depth);
+  }
+  if (value instanceof Set) {
+    return toSafeValue([...value], ancestors, depth);
+  }
+
+  const source = typeof value.toJSON === "function" ? value.toJSON() : value;
+  if (source !== value) {
+    return toSafeValue(source, nested, depth + 1);
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const safe = toSafeValue(item, nested, depth + 1);
+    if (safe !== undefined) result[key] = safe;
+  }
+  return result;
+}
+
+/**
+ * Serializes an Error with its name, message, stack, code and cause, plus any
+ * other own properties.
+ *
+ * @param {Error} error
+ * @returns {object}
+ */
+function serializeError(error, ancestors = [], depth = 0) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+  };
+
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  if (error.cause !== undefined) {
+    serialized.cause = toSafeValue(error.cause, ancestors, depth + 1);
+  }
+
+  for (const [key, item] of Object.entries(error)) {
+    if (!(key in serialized)) {
+      const safe = toSafeValue(item, ancestors, depth + 1);
+      if (safe !== undefined) serialized[key] = safe;
+    }
+  }
+
+  return serialized;
+}
+
+/**
+ * Checks whether `value` is an object literal (or created with a null prototype).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+module.exports = { formatArgs, isPlainObject, serializeError, toSafeValue };
@@ -0,0 +1,152 @@
+// logRedactor.js:
+
+"use strict";
+
+// load all necessary modules
+const { isPlainObject } = require("./logFormat");
+
+/**
+ * Keys masked wherever they appear, unless `defaults` is turned off.
+ */
+const DEFAULT_PATHS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "apiKey",
+  "authorization",
+  "cookie",
+];
+
+/**
+ * Patterns masked in every string, unless `defaults` is turned off. The
+ * MongoDB pattern masks the user and password of a connection URI, up to the
+ * last "@" like the driver does.
+ */
+const DEFAULT_PATTERNS = [/(?<=mongodb(?:\+srv)?:\/\/)\S+(?=@)/gi];
+
+/**
+ * LogRedactor masks sensitive values in log messages and metadata.
+ *
+ * Paths are matched case-insensitively against object keys. A plain key such
+ * as "password" matches at any depth; a dotted path such as "user.email"
+ * matches from the top of the object, with array indexes left out. Patterns
+ * are matched against every string, and each match is replaced by the mask.
+ */
+class LogRedactor {
+  #paths;
+  #keys;
+  #patterns;
+  #mask;
+
+  /**
+   * Constructs a LogRedactor.
+   *
+   * @param {object} [options={}]
+   * @param {Array<string>} [options.paths=[]] - Keys or dotted paths to mask.
+   * @param {Array<RegExp|string>} [options.patterns=[]] - Patterns to mask in
+   *   strings. Strings are compiled case-insensitive.
+   * @param {string} [options.mask="[REDACTED]"] - Replacement text.
+   * @param {boolean} [options.defaults=true] - Also apply DEFAULT_PATHS and
+   *   DEFAULT_PATTERNS.
+   */
+  constructor(options = {}) {
+    const { paths = [], patterns = [], mask = "[REDACTED]" } = options;
+    const defaults = options.defaults ?? true;
+
+    const all = (defaults ? [...DEFAULT_PATHS, ...paths] : paths).map(path =>
+      path.toLowerCase()
+    );
+    this.#keys = new Set(all.filter(path => !path.includes(".")));
+    this.#paths = new Set(all.filter(path => path.includes(".")));
+
+    this.#patterns = (
+      defaults ? [...DEFAULT_PATTERNS, ...patterns] : patterns
+    ).map(pattern =>
+      pattern instanceof RegExp
+        ? new RegExp(pattern.source, pattern.flags.replace("g", "") + "g")
+        : new RegExp(pattern, "gi")
+    );
+    this.#mask = mask;
+  }
+
+  /**
+   * Masks every pattern match in `text`.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  redactString(text) {
+    return this.#patterns.reduce(
+      (result, pattern) => result.replace(pattern, this.#mask),
+      text
+    );
+  }
+
+  /**
+   * Returns a copy of `value` with matching keys and pattern matches masked.
+   * Errors are copied with their message and stack redacted; other class
+   * instances (dates, ObjectIds, buffers) are returned unchanged.
+   *
+   * @param {*} value
+   * @returns {*}
+   */
+  redact(value, path = [], ancestors = []) {
+    if (typeof value === "string") {
+      return this.redactString(value);
+    }
+    if (value === null || typeof value !== "object") {
+      return value;
+    }
+    if (ancestors.includes(value)) {
+      return "[Circular]";
+    }
+
+    const nested = [...ancestors, value];
+
+    if (value instanceof Error) {
+      const copy = new Error(this.redactString(value.message));
+      Object.setPrototypeOf(copy, Object.getPrototypeOf(value));
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = this.#redactEntry(key, item, path, nested);
+      }
+      if (value.cause !== undefined) {
+        copy.cause = this.redact(value.cause, path, nested);
+      }
+      copy.stack = value.stack && this.redactString(value.stack);
+      return copy;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, path, nested));
+    }
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.#redactEntry(key, item, path, nested);
+    }
+    return result;
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Masks an object entry whose key or path matches, otherwise redacts its value.
+   */
+  #redactEntry(key, item, path, ancestors) {
+    const lower = key.toLowerCase();
+    const itemPath = [...path, lower];
+
+    if (this.#keys.has(lower) || this.#paths.has(itemPath.join("."))) {
+      return this.#mask;
+    }
+
+    return this.redact(item, itemPath, ancestors);
+  }
+}
+
+module.exports = LogRedactor;
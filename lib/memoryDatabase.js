@@ -0,0 +1,247 @@
+// memoryDatabase.js:
+
+"use strict";
+
+// load all necessary modules
+const { AsyncLocalStorage } = require("async_hooks");
+const { EventEmitter } = require("events");
+const { BaseDatabase } = require("zyx-base");
+const mongoose = require("mongoose");
+const MemoryModel = require("./memoryModel");
+const { readFixtures } = require("./fixtures");
+
+/**
+ * MemoryDatabase is an in-memory stand-in for MongoDatabase, so MongoModel
+ * subclasses can be unit tested without a MongoDB server.
+ *
+ * It offers the same `connect()`, `disconnect()`, `registerModel()`,
+ * `getModel()`, `withTransaction()`, `reset()`, `loadFixtures()` and event
+ * methods. Models are MemoryModels: schemas still cast, default and validate
+ * documents, but queries run in process and return plain objects. Data lives as long as
+ * the instance. Transactions roll back on failure but are not isolated from
+ * concurrent writes.
+ *
+ * @example
+ * const tenant = { id: "test" };
+ * tenant.db = new MemoryDatabase({}, tenant);
+ * await tenant.db.connect();
+ * const users = new UserModel(tenant);
+ *
+ * @extends BaseDatabase
+ */
+class MemoryDatabase extends BaseDatabase {
+  #connection = null;
+  #transactions = new AsyncLocalStorage();
+  #events = new EventEmitter();
+
+  constructor(config = undefined, tenant = undefined) {
+    super(config, tenant);
+  }
+
+  /**
+   * Prepares the database. No server is contacted.
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.#connection) {
+      return;
+    }
+
+    // Never opened: only compiles models for casting and validation
+    this.#connection = mongoose.createConnection();
+    this.setConnection(this.#connection);
+    this.#events.emit("connected");
+  }
+
+  /**
+   * Marks the database as disconnected. Stored documents are kept.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.#connection) {
+      const connection = this.#connection;
+      this.#connection = null;
+      this.setConnection(null);
+      await connection.destroy();
+      this.#events.emit("disconnected");
+    }
+  }
+
+  /**
+   * "connected" or "disconnected".
+   * @returns {string}
+   */
+  get state() {
+    return this.#connection ? "connected" : "disconnected";
+  }
+
+  /**
+   * Always healthy while connected; mirrors `MongoDatabase.health()`.
+   * @returns {Promise<{ ok: boolean, state: string, latencyMS: number|null, topology: null }>}
+   */
+  async health() {
+    const ok = Boolean(this.#connection);
+    return { ok, state: this.state, latencyMS: ok ? 0 : null, topology: null };
+  }
+
+  /**
+   * Adds a listener for "connected" or "disconnected".
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {MemoryDatabase} this
+   */
+  on(event, listener) {
+    this.#events.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Adds a one-time listener for a connection event.
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {MemoryDatabase} this
+   */
+  once(event, listener) {
+    this.#events.once(event, listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener added with `on()` or `once()`.
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {MemoryDatabase} this
+   */
+  off(event, listener) {
+    this.#events.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Whether the config sets `db_read_only`, making MongoModel writes throw.
+   * @returns {boolean}
+   */
+  get readOnly() {
+    return [true, "true"].includes(this.config.db_read_only);
+  }
+
+  /**
+   * Registers an in-memory model for a mongoose schema.
+   * @param {string} name - The name of the model (e.g., "user").
+   * @param {mongoose.Schema} schema - The Mongoose schema.
+   * @throws {Error} If model already exists or the database is not connected.
+   */
+  registerModel(name, schema) {
+    if (this.models[name]) {
+      throw new Error(`Model "${name}" already registered for tenant.`);
+    }
+    if (!this.#connection) {
+      throw new Error("Database is not connected.");
+    }
+
+    this.models[name] = new MemoryModel(
+      name,
+      this.#connection.model(name, schema)
+    );
+  }
+
+  /**
+   * Gets a registered model by name.
+   * @param {string} name
+   * @returns {MemoryModel}
+   */
+  getModel(name) {
+    return super.getModel(name);
+  }
+
+  /**
+   * Runs `fn` and restores every model's documents if it throws. Nested
+   * calls join the outer transaction.
+   *
+   * @param {function(object): Promise<*>} fn - Receives a placeholder session.
+   * @returns {Promise<*>} The value returned by `fn`.
+   * @throws {Error} If the database is not connected.
+   */
+  async withTransaction(fn) {
+    const outer = this.#transactions.getStore();
+    if (outer) {
+      return fn(outer);
+    }
+
+    if (!this.#connection) {
+      throw new Error("Database is not connected.");
+    }
+
+    const snapshots = Object.values(this.models).map(model => [
+      model,
+      model.snapshot(),
+    ]);
+    const session = { inTransaction: () => true };
+
+    try {
+      return await this.#transactions.run(session, () => fn(session));
+    } catch (err) {
+      for (const [model, documents] of snapshots) {
+        model.restore(documents);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * The placeholder session of the transaction running in the current async
+   * context, if any.
+   * @returns {object|undefined}
+   */
+  get session() {
+    return this.#transactions.getStore();
+  }
+
+  /**
+   * Removes every document from every model. Unlike `MongoDatabase.reset()`
+   * it needs no test environment, as nothing outlives the instance.
+   *
+   * @returns {Promise<Array<string>>} Names of the emptied models.
+   */
+  async reset() {
+    for (const model of Object.values(this.models)) {
+      model.clear();
+    }
+    return Object.keys(this.models);
+  }
+
+  /**
+   * Inserts fixture documents through the registered models, like
+   * `MongoDatabase.loadFixtures()`.
+   *
+   * @param {object|string} source - Fixture object, file or directory.
+   * @returns {Promise<Object<string, number>>} Documents inserted per model.
+   * @throws {Error} If a fixture names an unregistered model or the database
+   *   is read-only.
+   */
+  async loadFixtures(source) {
+    if (this.readOnly) {
+      throw new Error(
+        `loadFixtures() is not allowed: the database of tenant "${this.tenant?.id}" is read-only.`
+      );
+    }
+
+    const fixtures = await readFixtures(source);
+
+    const unknown = Object.keys(fixtures).filter(name => !this.models[name]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Fixtures refer to unregistered models: ${unknown.join(", ")}.`
+      );
+    }
+
+    const inserted = {};
+    for (const [name, documents] of Object.entries(fixtures)) {
+      inserted[name] = (await this.models[name].insertMany(documents)).length;
+    }
+
+    return inserted;
+  }
+}
+
+module.exports = MemoryDatabase;
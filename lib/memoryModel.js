@@ -0,0 +1,715 @@
+// memoryModel.js:
+
+"use strict";
+
+// load all necessary modules
+const {
+  applyUpdate,
+  clone,
+  equals,
+  getPath,
+  matches,
+  project,
+  sortDocuments,
+  upsertBase,
+} = require("./memoryQuery");
+
+/**
+ * MemoryModel keeps a collection in memory behind the part of the mongoose
+ * Model API that MongoModel uses, so MongoModel subclasses run unchanged on
+ * a MemoryDatabase.
+ *
+ * Filters and documents are cast, defaulted and validated by a mongoose
+ * model compiled from the same schema, which never talks to a server.
+ * Results are plain objects rather than mongoose documents. `_id` and unique
+ * schema indexes are enforced; `session` options are accepted and ignored.
+ */
+class MemoryModel {
+  #name;
+  #caster;
+  #documents = [];
+
+  /**
+   * Constructs a MemoryModel.
+   *
+   * @param {string} name - Model name.
+   * @param {import("mongoose").Model} caster - Mongoose model used for casting
+   *   and validation only.
+   */
+  constructor(name, caster) {
+    this.#name = name;
+    this.#caster = caster;
+  }
+
+  /**
+   * The model name.
+   * @returns {string}
+   */
+  get modelName() {
+    return this.#name;
+  }
+
+  /**
+   * The mongoose schema of the model.
+   * @returns {import("mongoose").Schema}
+   */
+  get schema() {
+    return this.#caster.schema;
+  }
+
+  /**
+   * Finds documents.
+   *
+   * @param {object} [filter={}]
+   * @param {object} [projection]
+   * @param {object} [options={}] - `sort`, `skip` and `limit` are honored.
+   * @returns {MemoryQuery} Resolves to an array of documents.
+   */
+  find(filter = {}, projection = null, options = {}) {
+    return new MemoryQuery(
+      modifiers =>
+        this.#select(filter, modifiers).map(document =>
+          project(document, projection)
+        ),
+      options
+    );
+  }
+
+  /**
+   * Finds the first matching document.
+   *
+   * @param {object} [filter={}]
+   * @param {object} [projection]
+   * @param {object} [options={}] - `sort` is honored.
+   * @returns {MemoryQuery} Resolves to a document or null.
+   */
+  findOne(filter = {}, projection = null, options = {}) {
+    return new MemoryQuery(modifiers => {
+      const [found] = this.#select(filter, { ...modifiers, limit: 1 });
+      return found ? project(found, projection) : null;
+    }, options);
+  }
+
+  /**
+   * Finds a document by `_id`.
+   *
+   * @param {*} id
+   * @param {object} [projection]
+   * @param {object} [options={}]
+   * @returns {MemoryQuery} Resolves to a document or null.
+   */
+  findById(id, projection = null, options = {}) {
+    return this.findOne({ _id: id }, projection, options);
+  }
+
+  /**
+   * Updates the first matching document.
+   *
+   * @param {object} filter
+   * @param {object} update - Update document; plain fields mean `$set`.
+   * @param {object} [options={}] - `new`/`returnDocument: "after"` return the
+   *   updated document, `upsert` inserts when nothing matches and
+   *   `runValidators` validates the result.
+   * @returns {MemoryQuery} Resolves to the document before (or after) the update.
+   */
+  findOneAndUpdate(filter, update, options = {}) {
+    return new MemoryQuery(modifiers => {
+      const returnNew = options.new || options.returnDocument === "after";
+      const [found] = this.#select(filter, { ...modifiers, limit: 1 });
+
+      if (!found) {
+        if (!options.upsert) return null;
+        const inserted = this.#upsert(filter, update);
+        return returnNew ? clone(inserted) : null;
+      }
+
+      const updated = this.#replace(found, update, options);
+      return clone(returnNew ? updated : found);
+    }, options);
+  }
+
+  /**
+   * Deletes the first matching document.
+   *
+   * @param {object} filter
+   * @param {object} [options={}]
+   * @returns {MemoryQuery} Resolves to the deleted document or null.
+   */
+  findOneAndDelete(filter, options = {}) {
+    return new MemoryQuery(modifiers => {
+      const [found] = this.#select(filter, { ...modifiers, limit: 1 });
+      if (!found) return null;
+
+      this.#documents.splice(this.#documents.indexOf(found), 1);
+      return clone(found);
+    }, options);
+  }
+
+  /**
+   * Deletes a document by `_id`.
+   *
+   * @param {*} id
+   * @param {object} [options={}]
+   * @returns {MemoryQuery} Resolves to the deleted document or null.
+   */
+  findByIdAndDelete(id, options = {}) {
+    return this.findOneAndDelete({ _id: id }, options);
+  }
+
+  /**
+   * Updates the first matching document.
+   *
+   * @param {object} filter
+   * @param {object} update
+   * @param {object} [options={}] - `upsert` and `runValidators`.
+   * @returns {MemoryQuery} Resolves to an UpdateResult.
+   */
+  updateOne(filter, update, options = {}) {
+    return new MemoryQuery(
+      () => this.#updateWhere(filter, update, options, 1),
+      options
+    );
+  }
+
+  /**
+   * Updates every matching document.
+   *
+   * @param {object} filter
+   * @param {object} update
+   * @param {object} [options={}] - `upsert` and `runValidators`.
+   * @returns {MemoryQuery} Resolves to an UpdateResult.
+   */
+  updateMany(filter, update, options = {}) {
+    return new MemoryQuery(
+      () => this.#updateWhere(filter, update, options, Infinity),
+      options
+    );
+  }
+
+  /**
+   * Deletes the first matching document.
+   *
+   * @param {object} [filter={}]
+   * @param {object} [options={}]
+   * @returns {MemoryQuery} Resolves to `{ acknowledged, deletedCount }`.
+   */
+  deleteOne(filter = {}, options = {}) {
+    return new MemoryQuery(() => this.#deleteWhere(filter, 1), options);
+  }
+
+  /**
+   * Deletes every matching document.
+   *
+   * @param {object} [filter={}]
+   * @param {object} [options={}]
+   * @returns {MemoryQuery} Resolves to `{ acknowledged, deletedCount }`.
+   */
+  deleteMany(filter = {}, options = {}) {
+    return new MemoryQuery(() => this.#deleteWhere(filter, Infinity), options);
+  }
+
+  /**
+   * Counts matching documents.
+   *
+   * @param {object} [filter={}]
+   * @param {object} [options={}]
+   * @returns {MemoryQuery} Resolves to a number.
+   */
+  countDocuments(filter = {}, options = {}) {
+    return new MemoryQuery(() => this.#select(filter, {}).length, options);
+  }
+
+  /**
+   * Checks whether a document matches.
+   *
+   * @param {object} [filter={}]
+   * @returns {MemoryQuery} Resolves to `{ _id }` or null.
+   */
+  exists(filter = {}) {
+    return new MemoryQuery(() => {
+      const [found] = this.#select(filter, { limit: 1 });
+      return found ? { _id: found._id } : null;
+    });
+  }
+
+  /**
+   * Lists the distinct values of a field; array values are flattened.
+   *
+   * @param {string} field
+   * @param {object} [filter={}]
+   * @param {object} [options={}]
+   * @returns {MemoryQuery} Resolves to an array of values.
+   */
+  distinct(field, filter = {}, options = {}) {
+    return new MemoryQuery(() => {
+      const values = [];
+
+      for (const document of this.#select(filter, {})) {
+        for (const value of [].concat(getPath(document, field) ?? [])) {
+          if (!values.some(existing => equals(existing, value))) {
+            values.push(clone(value));
+          }
+        }
+      }
+
+      return values;
+    }, options);
+  }
+
+  /**
+   * Inserts one document or an array of documents.
+   *
+   * @param {object|Array<object>} documents
+   * @param {object} [options={}]
+   * @returns {Promise<object|Array<object>>} The inserted document(s).
+   */
+  async create(documents, options = {}) {
+    if (!Array.isArray(documents)) {
+      const [document] = await this.create([documents], options);
+      return document;
+    }
+
+    return documents.map(document => clone(this.#insert(document)));
+  }
+
+  /**
+   * Inserts an array of documents.
+   *
+   * @param {Array<object>} documents
+   * @param {object} [options={}]
+   * @returns {Promise<Array<object>>} The inserted documents.
+   */
+  async insertMany(documents, options = {}) {
+    return this.create([].concat(documents), options);
+  }
+
+  /**
+   * Runs insertOne, updateOne, updateMany, replaceOne, deleteOne and
+   * deleteMany operations. Failures are thrown as one error carrying
+   * `writeErrors` and the partial `result`, like the driver does.
+   *
+   * @param {Array<object>} operations
+   * @param {object} [options={}]
+   * @param {boolean} [options.ordered=true] - Stop at the first failure.
+   * @returns {Promise<object>} Counts and inserted/upserted ids by operation index.
+   */
+  async bulkWrite(operations, options = {}) {
+    const { ordered = true } = options;
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+      insertedIds: {},
+      upsertedIds: {},
+    };
+    const writeErrors = [];
+
+    for (const [index, operation] of operations.entries()) {
+      try {
+        this.#bulkOperation(operation, index, result);
+      } catch (err) {
+        writeErrors.push({
+          index,
+          code: err.code ?? null,
+          errmsg: err.message,
+        });
+        if (ordered) break;
+      }
+    }
+
+    if (writeErrors.length > 0) {
+      const error = new Error(writeErrors[0].errmsg);
+      error.writeErrors = writeErrors;
+      error.result = result;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the stored documents, for MemoryDatabase transactions.
+   * @returns {Array<object>}
+   */
+  snapshot() {
+    return [...this.#documents];
+  }
+
+  /**
+   * Puts back documents returned by `snapshot()`.
+   * @param {Array<object>} documents
+   */
+  restore(documents) {
+    this.#documents = [...documents];
+  }
+
+  /**
+   * Removes every document.
+   * @returns {number} Number of removed documents.
+   */
+  clear() {
+    const count = this.#documents.length;
+    this.#documents = [];
+    return count;
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Returns the matching stored documents, sorted, skipped and limited.
+   * Callers copy them before handing them out.
+   */
+  #select(filter, { sort, skip = 0, limit = 0 }) {
+    const cast = this.#caster.find(filter ?? {}).cast(this.#caster);
+    let found = this.#documents.filter(document => matches(document, cast));
+
+    if (sort) {
+      found = sortDocuments(found, sort);
+    }
+
+    return found.slice(skip, limit > 0 ? skip + limit : undefined);
+  }
+
+  /**
+   * Casts, validates and stores a new document.
+   */
+  #insert(data) {
+    const document = this.#cast(data, { validate: true });
+
+    const versionKey = this.schema.get("versionKey");
+    if (versionKey && document[versionKey] === undefined) {
+      document[versionKey] = 0;
+    }
+
+    const { createdAt, updatedAt } = this.#timestamps();
+    const now = new Date();
+    if (createdAt && document[createdAt] === undefined) {
+      document[createdAt] = now;
+    }
+    if (updatedAt && document[updatedAt] === undefined) {
+      document[updatedAt] = now;
+    }
+
+    this.#checkUnique(document);
+    this.#documents.push(document);
+    return document;
+  }
+
+  /**
+   * Applies an update to a stored document and swaps in the result.
+   */
+  #replace(document, update, options = {}) {
+    const updated = this.#cast(applyUpdate(document, update), {
+      validate: options.runValidators,
+    });
+
+    const { updatedAt } = this.#timestamps();
+    if (updatedAt) {
+      updated[updatedAt] = new Date();
+    }
+
+    this.#checkUnique(updated, document);
+    this.#documents[this.#documents.indexOf(document)] = updated;
+    return updated;
+  }
+
+  /**
+   * Inserts the document an upsert describes.
+   */
+  #upsert(filter, update) {
+    const cast = this.#caster.find(filter ?? {}).cast(this.#caster);
+    return this.#insert(
+      applyUpdate(upsertBase(cast), update, { inserting: true })
+    );
+  }
+
+  /**
+   * Updates up to `limit` documents and reports it like the driver.
+   */
+  #updateWhere(filter, update, options, limit) {
+    const found = this.#select(filter, { limit: limit === 1 ? 1 : 0 });
+
+    if (found.length === 0 && options.upsert) {
+      const inserted = this.#upsert(filter, update);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: inserted._id,
+      };
+    }
+
+    let modifiedCount = 0;
+    for (const document of found) {
+      const updated = this.#replace(document, update, options);
+      if (!equals(updated, document)) modifiedCount += 1;
+    }
+
+    return {
+      acknowledged: true,
+      matchedCount: found.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  /**
+   * Deletes up to `limit` documents.
+   */
+  #deleteWhere(filter, limit) {
+    const deleted = new Set(
+      this.#select(filter, { limit: limit === 1 ? 1 : 0 })
+    );
+
+    this.#documents = this.#documents.filter(
+      document => !deleted.has(document)
+    );
+    return { acknowledged: true, deletedCount: deleted.size };
+  }
+
+  /**
+   * Runs one `bulkWrite()` operation and adds its outcome to `result`.
+   */
+  #bulkOperation(operation, index, result) {
+    const [type] = Object.keys(operation);
+    const spec = operation[type];
+
+    switch (type) {
+      case "insertOne": {
+        const inserted = this.#insert(spec.document);
+        result.insertedCount += 1;
+        result.insertedIds[index] = inserted._id;
+        return;
+      }
+      case "updateOne":
+      case "updateMany":
+      case "replaceOne": {
+        const update =
+          type === "replaceOne"
+            ? this.#replacement(spec.filter, spec.replacement)
+            : spec.update;
+        const outcome = this.#updateWhere(
+          spec.filter,
+          update,
+          { upsert: spec.upsert },
+          type === "updateMany" ? Infinity : 1
+        );
+        result.matchedCount += outcome.matchedCount;
+        result.modifiedCount += outcome.modifiedCount;
+        if (outcome.upsertedCount > 0) {
+          result.upsertedCount += 1;
+          result.upsertedIds[index] = outcome.upsertedId;
+        }
+        return;
+      }
+      case "deleteOne":
+      case "deleteMany":
+        result.deletedCount += this.#deleteWhere(
+          spec.filter,
+          type === "deleteMany" ? Infinity : 1
+        ).deletedCount;
+        return;
+      default:
+        throw new Error(`Unsupported bulkWrite operation "${type}".`);
+    }
+  }
+
+  /**
+   * Turns a replacement document into an update that keeps only `_id`.
+   */
+  #replacement(filter, replacement) {
+    const [found] = this.#select(filter, { limit: 1 });
+    const unset = {};
+
+    for (const key of Object.keys(found ?? {})) {
+      if (key !== "_id" && !(key in replacement)) unset[key] = "";
+    }
+
+    return Object.keys(unset).length > 0
+      ? { $set: replacement, $unset: unset }
+      : { $set: replacement };
+  }
+
+  /**
+   * Casts data to the schema and returns it as a plain object. Cast errors
+   * are always thrown; other validation errors only with `validate`.
+   */
+  #cast(data, { validate = false } = {}) {
+    const document = new this.#caster(data);
+    const error = document.validateSync();
+
+    if (
+      error &&
+      (validate ||
+        Object.values(error.errors ?? {}).some(e => e.name === "CastError"))
+    ) {
+      throw error;
+    }
+
+    return document.toObject({ depopulate: true, virtuals: false });
+  }
+
+  /**
+   * Names of the schema's timestamp fields, if timestamps are enabled.
+   */
+  #timestamps() {
+    const option = this.schema.get("timestamps");
+    if (!option) {
+      return {};
+    }
+
+    const names = option === true ? {} : option;
+    return {
+      createdAt:
+        names.createdAt === false ? null : names.createdAt || "createdAt",
+      updatedAt:
+        names.updatedAt === false ? null : names.updatedAt || "updatedAt",
+    };
+  }
+
+  /**
+   * Throws a duplicate key error (code 11000) when `document` collides with
+   * another stored document on `_id` or a unique index.
+   */
+  #checkUnique(document, replacing = null) {
+    const uniqueKeys = [
+      ["_id"],
+      ...this.schema
+        .indexes()
+        .filter(([, options]) => options?.unique)
+        .map(([key]) => Object.keys(key)),
+    ];
+
+    for (const fields of uniqueKeys) {
+      const values = fields.map(field => getPath(document, field));
+      if (fields[0] !== "_id" && values.every(value => value === undefined)) {
+        continue;
+      }
+
+      const duplicate = this.#documents.some(
+        other =>
+          other !== replacing &&
+          fields.every((field, i) => equals(getPath(other, field), values[i]))
+      );
+
+      if (duplicate) {
+        const error = new Error(
+          `E11000 duplicate key error collection: ${this.#name} dup key: ` +
+            `{ ${fields
+              .map((field, i) => `${field}: ${values[i]}`)
+              .join(", ")} }`
+        );
+        error.code = 11000;
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * A lazily run query with the chainable parts of mongoose's Query API.
+ * Awaiting it or calling `exec()` runs it.
+ */
+class MemoryQuery {
+  #run;
+  #modifiers;
+
+  /**
+   * Constructs a MemoryQuery.
+   *
+   * @param {function(object): *} run - Runs the query with its modifiers.
+   * @param {object} [options={}] - Initial `sort`, `skip` and `limit`.
+   */
+  constructor(run, options = {}) {
+    this.#run = run;
+    this.#modifiers = {
+      sort: options.sort,
+      skip: options.skip ?? 0,
+      limit: options.limit ?? 0,
+    };
+  }
+
+  /**
+   * Sets the sort order, e.g. `{ createdAt: -1 }` or "-createdAt".
+   * @returns {MemoryQuery} this
+   */
+  sort(sort) {
+    this.#modifiers.sort = sort;
+    return this;
+  }
+
+  /**
+   * Sets the number of documents to skip.
+   * @returns {MemoryQuery} this
+   */
+  skip(skip) {
+    this.#modifiers.skip = skip;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of documents.
+   * @returns {MemoryQuery} this
+   */
+  limit(limit) {
+    this.#modifiers.limit = limit;
+    return this;
+  }
+
+  /**
+   * Accepted for compatibility; sessions have no effect in memory.
+   * @returns {MemoryQuery} this
+   */
+  session() {
+    return this;
+  }
+
+  /**
+   * Applies `sort`, `skip` and `limit` from query options; others are ignored.
+   * @returns {MemoryQuery} this
+   */
+  setOptions(options = {}) {
+    for (const key of ["sort", "skip", "limit"]) {
+      if (options[key] !== undefined) this.#modifiers[key] = options[key];
+    }
+    return this;
+  }
+
+  /**
+   * Accepted for compatibility; results are always plain objects.
+   * @returns {MemoryQuery} this
+   */
+  lean() {
+    return this;
+  }
+
+  /**
+   * Runs the query.
+   * @returns {Promise<*>}
+   */
+  async exec() {
+    return this.#run(this.#modifiers);
+  }
+
+  /**
+   * Makes the query awaitable.
+   * @returns {Promise<*>}
+   */
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  /**
+   * Runs the query and handles its failure.
+   * @returns {Promise<*>}
+   */
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+module.exports = MemoryModel;
@@ -0,0 +1,635 @@
+// memoryQuery.js:
+
+"use strict";
+
+// load all necessary modules
+const { isPlainObject } = require("./logFormat");
+
+/**
+ * Query, projection and update evaluation for MemoryDatabase, following
+ * MongoDB semantics for the commonly used operators. Filters are expected to
+ * be cast by mongoose first, so ids and dates already have their BSON types.
+ */
+
+// Rough BSON comparison order, used to sort values of different types
+const TYPE_ORDER = [
+  "null",
+  "number",
+  "string",
+  "object",
+  "array",
+  "objectId",
+  "boolean",
+  "date",
+];
+
+/**
+ * Checks whether a document matches a filter.
+ *
+ * Supports `$and`, `$or`, `$nor` and, per field, `$eq`, `$ne`, `$gt`,
+ * `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$exists`, `$regex` (with
+ * `$options`), `$not`, `$size`, `$all` and `$elemMatch`. Dotted paths reach
+ * into embedded documents and arrays.
+ *
+ * @param {object} document
+ * @param {object} [filter={}]
+ * @returns {boolean}
+ * @throws {Error} If the filter uses an unsupported operator.
+ */
+function matches(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every(part => matches(document, part));
+      case "$or":
+        return condition.some(part => matches(document, part));
+      case "$nor":
+        return !condition.some(part => matches(document, part));
+      default:
+        if (key.startsWith("$")) {
+          throw new Error(`Unsupported query operator "${key}".`);
+        }
+        return matchesCondition(valuesAt(document, key), condition);
+    }
+  });
+}
+
+/**
+ * Returns a copy of a document reduced by an inclusion (`{ a: 1 }`) or
+ * exclusion (`{ a: 0 }`) projection. `_id` is kept unless excluded.
+ *
+ * @param {object} document
+ * @param {object|null} [projection]
+ * @returns {object}
+ */
+function project(document, projection) {
+  const entries = Object.entries(projection ?? {});
+  if (entries.length === 0) {
+    return clone(document);
+  }
+
+  const including = entries.some(
+    ([path, value]) => path !== "_id" && isIncluded(value)
+  );
+  const tree = {};
+
+  for (const [path, value] of entries) {
+    if (path === "_id" || isIncluded(value) === including) {
+      addPath(tree, path, isIncluded(value));
+    }
+  }
+
+  if (!including) {
+    return exclude(document, tree);
+  }
+
+  if (!("_id" in tree)) {
+    tree._id = true;
+  }
+  return include(document, tree) ?? {};
+}
+
+/**
+ * Applies an update to a copy of a document. An update without operators
+ * is treated as `$set`, as mongoose does.
+ *
+ * Supports `$set`, `$unset`, `$inc`, `$mul`, `$min`, `$max`, `$rename`,
+ * `$currentDate`, `$push` and `$addToSet` (with `$each`), `$pull`, `$pop`
+ * and, when inserting, `$setOnInsert`.
+ *
+ * @param {object} document
+ * @param {object} update
+ * @param {object} [options={}]
+ * @param {boolean} [options.inserting=false] - Applies `$setOnInsert`.
+ * @returns {object} The updated copy.
+ * @throws {Error} If the update uses an unsupported operator.
+ */
+function applyUpdate(document, update, options = {}) {
+  const result = clone(document);
+  const operators = Object.keys(update).some(key => key.startsWith("$"))
+    ? update
+    : { $set: update };
+
+  for (const [operator, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields ?? {})) {
+      const current = getPath(result, path);
+
+      switch (operator) {
+        case "$set":
+          setPath(result, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (options.inserting) setPath(result, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(result, path);
+          break;
+        case "$inc":
+          setPath(result, path, (current ?? 0) + value);
+          break;
+        case "$mul":
+          setPath(result, path, (current ?? 0) * value);
+          break;
+        case "$min":
+          if (current === undefined || compareValues(value, current) < 0) {
+            setPath(result, path, clone(value));
+          }
+          break;
+        case "$max":
+          if (current === undefined || compareValues(value, current) > 0) {
+            setPath(result, path, clone(value));
+          }
+          break;
+        case "$rename":
+          if (current !== undefined) {
+            unsetPath(result, path);
+            setPath(result, value, current);
+          }
+          break;
+        case "$currentDate":
+          setPath(result, path, new Date());
+          break;
+        case "$push":
+        case "$addToSet": {
+          const items =
+            isPlainObject(value) && "$each" in value ? value.$each : [value];
+          const array = [...(current ?? [])];
+          for (const item of items) {
+            if (
+              operator === "$push" ||
+              !array.some(existing => equals(existing, item))
+            ) {
+              array.push(clone(item));
+            }
+          }
+          setPath(result, path, array);
+          break;
+        }
+        case "$pull":
+          if (Array.isArray(current)) {
+            setPath(
+              result,
+              path,
+              current.filter(item => !matchesElement(item, value))
+            );
+          }
+          break;
+        case "$pop":
+          if (Array.isArray(current)) {
+            setPath(
+              result,
+              path,
+              value === -1 ? current.slice(1) : current.slice(0, -1)
+            );
+          }
+          break;
+        default:
+          throw new Error(`Unsupported update operator "${operator}".`);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Builds the document an upsert starts from: the filter's equality fields.
+ *
+ * @param {object} filter
+ * @returns {object}
+ */
+function upsertBase(filter) {
+  const base = {};
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith("$")) continue;
+
+    if (!isOperatorObject(condition)) {
+      setPath(base, key, clone(condition));
+    } else if ("$eq" in condition) {
+      setPath(base, key, clone(condition.$eq));
+    }
+  }
+
+  return base;
+}
+
+/**
+ * Orders documents by a mongoose sort, e.g. `{ createdAt: -1 }` or "-createdAt".
+ *
+ * @param {Array<object>} documents
+ * @param {object|string} [sort]
+ * @returns {Array<object>} A sorted copy of the array.
+ */
+function sortDocuments(documents, sort) {
+  const fields =
+    typeof sort === "string"
+      ? sort
+          .split(/\s+/)
+          .filter(Boolean)
+          .map(field =>
+            field.startsWith("-") ? [field.slice(1), -1] : [field, 1]
+          )
+      : Object.entries(sort ?? {}).map(([field, direction]) => [
+          field,
+          ["-1", "desc", "descending"].includes(String(direction).toLowerCase())
+            ? -1
+            : 1,
+        ]);
+
+  return [...documents].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(getPath(a, field), getPath(b, field));
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Checks two values for equality the way MongoDB compares them: ids by
+ * value, dates by time, documents and arrays field by field. Missing and
+ * null are equal.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+  if (a === undefined || a === null || b === undefined || b === null) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (isObjectId(a) || isObjectId(b)) {
+    return String(a) === String(b);
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(key => equals(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+/**
+ * Compares two values in BSON order.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} Negative, zero or positive.
+ */
+function compareValues(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+
+  switch (typeA) {
+    case "null":
+      return 0;
+    case "date":
+      return a.getTime() - b.getTime();
+    case "objectId":
+      return compareScalars(String(a), String(b));
+    case "array":
+    case "object":
+      return compareScalars(JSON.stringify(a), JSON.stringify(b));
+    default:
+      return compareScalars(a, b);
+  }
+}
+
+/**
+ * Deep-copies plain objects and arrays; dates are copied, other class
+ * instances (ObjectIds, buffers) are shared since they are not mutated.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = clone(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Reads a dotted path; numeric segments index into arrays.
+ *
+ * @param {object} document
+ * @param {string} path
+ * @returns {*}
+ */
+function getPath(document, path) {
+  return path.split(".").reduce((value, key) => value?.[key], document);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Collects the values a path refers to, descending into arrays of embedded
+ * documents like MongoDB does.
+ */
+function valuesAt(value, path) {
+  const [head, ...rest] = Array.isArray(path) ? path : path.split(".");
+
+  if (head === undefined) {
+    return [value];
+  }
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) {
+      return valuesAt(value[Number(head)], rest);
+    }
+    return value.flatMap(item => valuesAt(item, [head, ...rest]));
+  }
+  if (!isPlainObject(value)) {
+    return [undefined];
+  }
+  return valuesAt(value[head], rest);
+}
+
+/**
+ * Checks a field's values against an equality value or operator object.
+ */
+function matchesCondition(values, condition) {
+  if (!isOperatorObject(condition)) {
+    return candidates(values).some(value => matchesValue(value, condition));
+  }
+
+  return Object.entries(condition).every(([operator, argument]) =>
+    matchesOperator(values, operator, argument, condition)
+  );
+}
+
+/**
+ * Evaluates one field operator.
+ */
+function matchesOperator(values, operator, argument, condition) {
+  const all = candidates(values);
+
+  switch (operator) {
+    case "$eq":
+      return all.some(value => matchesValue(value, argument));
+    case "$ne":
+      return !all.some(value => matchesValue(value, argument));
+    case "$gt":
+      return all.some(value => compareTyped(value, argument) > 0);
+    case "$gte":
+      return all.some(value => compareTyped(value, argument) >= 0);
+    case "$lt":
+      return all.some(value => compareTyped(value, argument) < 0);
+    case "$lte":
+      return all.some(value => compareTyped(value, argument) <= 0);
+    case "$in":
+      return all.some(value =>
+        argument.some(item => matchesValue(value, item))
+      );
+    case "$nin":
+      return !all.some(value =>
+        argument.some(item => matchesValue(value, item))
+      );
+    case "$exists":
+      return values.some(value => value !== undefined) === Boolean(argument);
+    case "$regex": {
+      const regex =
+        argument instanceof RegExp
+          ? argument
+          : new RegExp(argument, condition.$options ?? "");
+      return all.some(value => typeof value === "string" && regex.test(value));
+    }
+    case "$options":
+      return true;
+    case "$not":
+      return argument instanceof RegExp
+        ? !all.some(value => typeof value === "string" && argument.test(value))
+        : !matchesCondition(values, argument);
+    case "$size":
+      return values.some(
+        value => Array.isArray(value) && value.length === argument
+      );
+    case "$all":
+      return argument.every(item =>
+        all.some(value => matchesValue(value, item))
+      );
+    case "$elemMatch":
+      return values.some(
+        value =>
+          Array.isArray(value) &&
+          value.some(item => matchesElement(item, argument))
+      );
+    default:
+      throw new Error(`Unsupported query operator "${operator}".`);
+  }
+}
+
+/**
+ * Matches an array element against an `$elemMatch` or `$pull` condition:
+ * operators apply to the element itself, fields to its properties.
+ */
+function matchesElement(item, condition) {
+  if (isOperatorObject(condition)) {
+    return matchesCondition([item], condition);
+  }
+  if (isPlainObject(condition) && isPlainObject(item)) {
+    return matches(item, condition);
+  }
+  return matchesValue(item, condition);
+}
+
+/**
+ * Equality that also lets a regular expression match a string.
+ */
+function matchesValue(value, expected) {
+  if (expected instanceof RegExp) {
+    return typeof value === "string" && expected.test(value);
+  }
+  return equals(value, expected);
+}
+
+/**
+ * An array field matches both as a whole and through each of its elements.
+ */
+function candidates(values) {
+  return values.flatMap(value =>
+    Array.isArray(value) ? [value, ...value] : [value]
+  );
+}
+
+/**
+ * Compares values for range operators, which only match values of the same type.
+ */
+function compareTyped(value, argument) {
+  if (value === undefined || value === null) {
+    return NaN;
+  }
+  return typeOf(value) === typeOf(argument)
+    ? compareValues(value, argument)
+    : NaN;
+}
+
+/**
+ * Compares two numbers, strings or booleans.
+ */
+function compareScalars(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Names the BSON type class of a value, see TYPE_ORDER.
+ */
+function typeOf(value) {
+  if (value === undefined || value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (value instanceof Date) return "date";
+  if (isObjectId(value)) return "objectId";
+  if (typeof value === "object") return "object";
+  return typeof value;
+}
+
+/**
+ * Checks for a BSON ObjectId, whichever copy of the bson package made it.
+ */
+function isObjectId(value) {
+  return value?._bsontype === "ObjectId";
+}
+
+/**
+ * Checks whether a condition is an operator object such as `{ $gt: 1 }`.
+ */
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith("$"));
+}
+
+/**
+ * Checks whether a projection value includes its field.
+ */
+function isIncluded(value) {
+  return value !== 0 && value !== false && value !== "0";
+}
+
+/**
+ * Adds a dotted path to a projection tree, e.g. "a.b" to `{ a: { b: true } }`.
+ */
+function addPath(tree, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let node = tree;
+
+  for (const key of keys) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+
+  node[last] = value;
+}
+
+/**
+ * Copies only the fields in an inclusion projection tree.
+ */
+function include(value, tree) {
+  if (tree === true) {
+    return clone(value);
+  }
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => isPlainObject(item))
+      .map(item => include(item, tree));
+  }
+  if (!isPlainObject(value)) {
+    return undefined;
+  }
+
+  const result = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (subtree === false || value[key] === undefined) continue;
+    const included = include(value[key], subtree);
+    if (included !== undefined) result[key] = included;
+  }
+  return result;
+}
+
+/**
+ * Copies all fields except those in an exclusion projection tree.
+ */
+function exclude(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map(item => exclude(item, tree));
+  }
+  if (!isPlainObject(value)) {
+    return clone(value);
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const subtree = tree[key];
+    if (subtree === false) continue;
+    result[key] = isPlainObject(subtree) ? exclude(item, subtree) : clone(item);
+  }
+  return result;
+}
+
+/**
+ * Writes a dotted path, creating embedded documents as needed.
+ */
+function setPath(document, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let node = document;
+
+  for (const key of keys) {
+    if (node[key] === null || typeof node[key] !== "object") node[key] = {};
+    node = node[key];
+  }
+
+  node[last] = value;
+}
+
+/**
+ * Removes the field at a dotted path, if present.
+ */
+function unsetPath(document, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node?.[key], document);
+
+  if (parent && typeof parent === "object") {
+    delete parent[last];
+  }
+}
+
+module.exports = {
+  applyUpdate,
+  clone,
+  compareValues,
+  equals,
+  getPath,
+  matches,
+  project,
+  sortDocuments,
+  upsertBase,
+};
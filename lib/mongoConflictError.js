@@ -0,0 +1,28 @@
+// mongoConflictError.js:
+
+"use strict";
+
+/**
+ * Thrown by `MongoModel.updateById()` when the document was changed since the
+ * caller read it, i.e. its version no longer matches the expected version.
+ *
+ * @extends Error
+ */
+class MongoConflictError extends Error {
+  /**
+   * Constructs a MongoConflictError.
+   *
+   * @param {string} message - Error description.
+   * @param {object} details
+   * @param {object} details.current - The document as currently stored.
+   * @param {number} details.expectedVersion - The version the caller expected.
+   */
+  constructor(message, { current, expectedVersion }) {
+    super(message);
+    this.name = "MongoConflictError";
+    this.current = current;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+module.exports = MongoConflictError;
@@ -0,0 +1,267 @@
+// mongoConnectionRegistry.js:
+
+"use strict";
+
+const mongoose = require("mongoose");
+const { parseMongoUri } = require("./mongoUri");
+
+// Mechanisms the driver never authenticates against the database path
+const EXTERNAL_AUTH_MECHANISMS = [
+  "GSSAPI",
+  "MONGODB-AWS",
+  "MONGODB-OIDC",
+  "MONGODB-X509",
+];
+
+/**
+ * MongoConnectionRegistry shares one mongoose client (and its connection pool)
+ * per cluster between all tenants in the process.
+ *
+ * Each `acquire()` returns its own `useDb()`-scoped connection to the tenant's
+ * database, so every MongoDatabase compiles its models independently.
+ * Databases are reference-counted, and a cluster's client is only closed once
+ * its last tenant has been released. Released tenants can be kept
+ * warm for `idleTimeoutMS`, bounded by `maxIdleTenants` (least recently used
+ * tenants are evicted first).
+ */
+class MongoConnectionRegistry {
+  /** @type {Map<string, object>} cluster key -> cluster entry */
+  #clusters = new Map();
+
+  /** @type {WeakMap<import("mongoose").Connection, object>} connection -> owner */
+  #owners = new WeakMap();
+
+  #idleTimeoutMS;
+  #maxIdleTenants;
+
+  /**
+   * Constructs a MongoConnectionRegistry.
+   *
+   * @param {object} [options={}]
+   * @param {number} [options.idleTimeoutMS=0] - How long a released tenant
+   *   stays cached before eviction. 0 evicts it as soon as it is released.
+   * @param {number} [options.maxIdleTenants=Infinity] - Maximum number of
+   *   released tenants kept cached across all clusters.
+   */
+  constructor(options = {}) {
+    this.#idleTimeoutMS = options.idleTimeoutMS ?? 0;
+    this.#maxIdleTenants = options.maxIdleTenants ?? Infinity;
+  }
+
+  /**
+   * Returns a connection to the database named in `uri`, opening the
+   * cluster's shared client on first use.
+   *
+   * The database path is not part of the client's URI, so credentials
+   * authenticate against it through `authSource`, as the driver would with the
+   * full URI. An explicit `authSource`, an external auth mechanism, or a
+   * `mongodb+srv://` URI (whose TXT record may name one) is left to the driver.
+   *
+   * @param {string} uri - Full MongoDB connection URI, including the database.
+   * @param {object} [options={}] - Driver options for the cluster's client.
+   * @returns {Promise<import("mongoose").Connection>}
+   */
+  async acquire(uri, options = {}) {
+    const {
+      clusterUri,
+      dbName,
+      isSrv,
+      hasCredentials,
+      authSource,
+      authMechanism,
+    } = parseMongoUri(uri);
+    const name = dbName || "test";
+    const clientOptions = { ...options };
+
+    if (
+      hasCredentials &&
+      dbName &&
+      !isSrv &&
+      !authSource &&
+      !clientOptions.authSource &&
+      !EXTERNAL_AUTH_MECHANISMS.includes(
+        authMechanism ?? clientOptions.authMechanism
+      )
+    ) {
+      clientOptions.authSource = dbName;
+    }
+
+    // Credentials and auth options are part of the URI and options, so tenants
+    // only share a client when they authenticate the same way
+    const key = JSON.stringify([clusterUri, clientOptions]);
+
+    let cluster = this.#clusters.get(key);
+    if (!cluster) {
+      cluster = {
+        key,
+        ready: mongoose.createConnection(clusterUri, clientOptions).asPromise(),
+        tenants: new Map(),
+        pending: 0,
+      };
+      this.#clusters.set(key, cluster);
+    }
+
+    let base;
+    cluster.pending += 1;
+    try {
+      base = await cluster.ready;
+    } catch (err) {
+      if (this.#clusters.get(key) === cluster) {
+        this.#clusters.delete(key);
+      }
+      throw err;
+    } finally {
+      cluster.pending -= 1;
+    }
+
+    let tenant = cluster.tenants.get(name);
+    if (!tenant) {
+      tenant = { name, refCount: 0, lastUsed: 0, timer: null };
+      cluster.tenants.set(name, tenant);
+    }
+
+    clearTimeout(tenant.timer);
+    tenant.timer = null;
+    tenant.refCount += 1;
+
+    // Uncached: a shared connection would share its compiled models too
+    const connection = base.useDb(name);
+    this.#owners.set(connection, { cluster, tenant, base });
+
+    return connection;
+  }
+
+  /**
+   * Releases a connection obtained from `acquire()`. The cluster's client is
+   * closed once no tenant uses it any more.
+   *
+   * @param {import("mongoose").Connection} connection
+   * @returns {Promise<void>}
+   */
+  async release(connection) {
+    const owner = this.#owners.get(connection);
+    if (!owner) {
+      return;
+    }
+
+    const { cluster, tenant, base } = owner;
+    this.#owners.delete(connection);
+
+    // Stop the client from tracking the released connection's state
+    base.otherDbs = base.otherDbs.filter(db => db !== connection);
+
+    if (cluster.tenants.get(tenant.name) !== tenant || tenant.refCount === 0) {
+      return;
+    }
+
+    tenant.refCount -= 1;
+    if (tenant.refCount > 0) {
+      return;
+    }
+
+    tenant.lastUsed = Date.now();
+
+    if (this.#idleTimeoutMS <= 0) {
+      await this.#evict(cluster, tenant);
+      return;
+    }
+
+    tenant.timer = setTimeout(() => {
+      this.#evict(cluster, tenant).catch(err => {
+        console.warn("Failed to evict idle tenant connection:", err.message);
+      });
+    }, this.#idleTimeoutMS);
+    tenant.timer.unref?.();
+
+    await this.#evictLeastRecentlyUsed();
+  }
+
+  /**
+   * Closes every cluster client, regardless of outstanding tenants.
+   *
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    const clusters = [...this.#clusters.values()];
+    this.#clusters.clear();
+
+    for (const cluster of clusters) {
+      for (const tenant of cluster.tenants.values()) {
+        clearTimeout(tenant.timer);
+      }
+      cluster.tenants.clear();
+    }
+
+    await Promise.allSettled(
+      clusters.map(async cluster => (await cluster.ready).close())
+    );
+  }
+
+  /**
+   * Returns counts of open clusters and of active and idle tenants.
+   *
+   * @returns {{ clusters: number, tenants: number, idle: number }}
+   */
+  stats() {
+    let tenants = 0;
+    let idle = 0;
+
+    for (const cluster of this.#clusters.values()) {
+      for (const tenant of cluster.tenants.values()) {
+        tenants += 1;
+        if (tenant.refCount === 0) idle += 1;
+      }
+    }
+
+    return { clusters: this.#clusters.size, tenants, idle };
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Drops an idle tenant and closes its cluster's client if it was the last.
+   */
+  async #evict(cluster, tenant) {
+    if (tenant.refCount > 0 || cluster.tenants.get(tenant.name) !== tenant) {
+      return;
+    }
+
+    clearTimeout(tenant.timer);
+    cluster.tenants.delete(tenant.name);
+
+    if (cluster.tenants.size === 0 && cluster.pending === 0) {
+      if (this.#clusters.get(cluster.key) === cluster) {
+        this.#clusters.delete(cluster.key);
+      }
+      await (await cluster.ready).close();
+    }
+  }
+
+  /**
+   * Evicts the least recently released tenants beyond `maxIdleTenants`.
+   */
+  async #evictLeastRecentlyUsed() {
+    const idle = [];
+
+    for (const cluster of this.#clusters.values()) {
+      for (const tenant of cluster.tenants.values()) {
+        if (tenant.refCount === 0) idle.push({ cluster, tenant });
+      }
+    }
+
+    if (idle.length <= this.#maxIdleTenants) {
+      return;
+    }
+
+    idle.sort((a, b) => a.tenant.lastUsed - b.tenant.lastUsed);
+
+    for (const { cluster, tenant } of idle.slice(
+      0,
+      idle.length - this.#maxIdleTenants
+    )) {
+      await this.#evict(cluster, tenant);
+    }
+  }
+}
+
+module.exports = MongoConnectionRegistry;
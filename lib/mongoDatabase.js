@@ -2,52 +2,263 @@
 
 "use strict";
 
+const { AsyncLocalStorage } = require("async_hooks");
+const { EventEmitter } = require("events");
+const { performance } = require("perf_hooks");
 const { BaseDatabase } = require("zyx-base");
 const mongoose = require("mongoose");
+const system = require("zyx-system");
+const MongoConnectionRegistry = require("./mongoConnectionRegistry");
+const { parseDatabaseConfig } = require("./databaseConfig");
+const { readFixtures } = require("./fixtures");
 
 /**
  * MongoDatabase is a per-tenant database service using Mongoose.
- * Each tenant gets its own MongoDB connection and isolated model set.
+ * Each tenant gets its own database and isolated model set, while tenants on
+ * the same cluster share one connection pool through `MongoDatabase.registry`.
+ *
+ * Emits "connected", "disconnected", "reconnected" and "error" events through
+ * `on()`/`once()`/`off()`.
+ *
+ * Disconnecting closes the change streams opened by MongoModel `watch()`.
+ *
+ * With `db_read_only` set in the tenant config, MongoModel write methods,
+ * `reset()`, `loadFixtures()` and `syncIndexes()` (unless a dry run) throw.
  *
  * @extends BaseDatabase
  */
 class MongoDatabase extends BaseDatabase {
+  /**
+   * Registry used to share cluster connections between tenants. Replace it
+   * before connecting to tune idle eviction, e.g.
+   * `MongoDatabase.registry = new MongoConnectionRegistry({ idleTimeoutMS: 60000 })`.
+   * @type {MongoConnectionRegistry}
+   */
+  static registry = new MongoConnectionRegistry();
+
   #mongooseConnection;
+  #registry;
+  #events = new EventEmitter();
+  #listeners = [];
+  #wasDisconnected = false;
+  #transactions = new AsyncLocalStorage();
+  #readOnly = false;
+  #closing = null;
 
   constructor(config = undefined, tenant = undefined) {
     super(config, tenant);
     this.#mongooseConnection = undefined;
+    this.#registry = undefined;
   }
 
   /**
    * Establishes a connection to the MongoDB database for this tenant.
+   * Driver options are taken from the tenant's `db_*` config keys.
    * @returns {Promise<void>}
+   * @throws {Error} If the tenant's database config is invalid.
    */
   async connect() {
-    const uri = this.config.db_url;
-    if (!uri) {
-      throw new Error("Missing 'mongo_uri' in tenant database config.");
+    if (this.#mongooseConnection) {
+      return;
     }
 
-    this.#mongooseConnection = await mongoose.createConnection(uri, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
+    const { uri, options, readOnly } = parseDatabaseConfig(this.config);
+
+    this.#readOnly = readOnly;
+    this.#registry = this.constructor.registry;
+    this.#mongooseConnection = await this.#registry.acquire(uri, options);
+    this.#closing = new AbortController();
 
+    this.#attachListeners(this.#mongooseConnection);
     this.setConnection(this.#mongooseConnection);
+    this.#events.emit("connected");
   }
 
   /**
-   * Disconnects from the MongoDB database.
+   * Releases this tenant's connection. The shared pool is closed once the
+   * last tenant on its cluster has disconnected.
    * @returns {Promise<void>}
    */
   async disconnect() {
     if (this.#mongooseConnection) {
-      await this.#mongooseConnection.close();
+      const connection = this.#mongooseConnection;
+      this.#mongooseConnection = undefined;
       this.setConnection(null);
+      this.#detachListeners(connection);
+      this.#closing.abort();
+      await this.#registry.release(connection);
+      this.#events.emit("disconnected");
+    }
+  }
+
+  /**
+   * Runs `fn` inside a transaction and returns its result. The whole callback
+   * is retried on transient transaction errors, so it should be idempotent.
+   *
+   * While `fn` runs, every MongoModel method of this tenant uses the session
+   * automatically. Nested calls reuse the outer transaction.
+   *
+   * @param {function(import("mongoose").ClientSession): Promise<*>} fn
+   * @param {object} [options={}] - Transaction options (readConcern, writeConcern, ...).
+   * @returns {Promise<*>} The value returned by `fn`.
+   * @throws {Error} If the database is not connected.
+   */
+  async withTransaction(fn, options = {}) {
+    const outer = this.#transactions.getStore();
+    if (outer) {
+      return fn(outer);
+    }
+
+    if (!this.#mongooseConnection) {
+      throw new Error("Database is not connected.");
+    }
+
+    const session = await this.#mongooseConnection.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await this.#transactions.run(session, () => fn(session));
+      }, options);
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * The session of the transaction running in the current async context, if any.
+   * @returns {import("mongoose").ClientSession|undefined}
+   */
+  get session() {
+    return this.#transactions.getStore();
+  }
+
+  /**
+   * Pings the server and reports round-trip latency and topology.
+   * Never throws; failures are reported with `ok: false` and emitted as "error".
+   *
+   * @returns {Promise<{
+   *   ok: boolean,
+   *   state: string,
+   *   latencyMS: number|null,
+   *   topology: object|null,
+   *   error?: string
+   * }>}
+   */
+  async health() {
+    const connection = this.#mongooseConnection;
+    if (!connection?.db) {
+      return {
+        ok: false,
+        state: this.state,
+        latencyMS: null,
+        topology: null,
+        error: "Database is not connected.",
+      };
+    }
+
+    try {
+      const started = performance.now();
+      await connection.db.command({ ping: 1 });
+      const latencyMS = Math.round((performance.now() - started) * 100) / 100;
+
+      const hello = await connection.db.command({ hello: 1 });
+
+      return {
+        ok: true,
+        state: this.state,
+        latencyMS,
+        topology: {
+          type:
+            hello.msg === "isdbgrid"
+              ? "sharded"
+              : hello.setName
+              ? "replicaSet"
+              : "standalone",
+          setName: hello.setName ?? null,
+          primary: hello.primary ?? null,
+          me: hello.me ?? null,
+          hosts: hello.hosts ?? [],
+          isWritablePrimary: Boolean(hello.isWritablePrimary),
+        },
+      };
+    } catch (err) {
+      this.#emitError(err);
+      return {
+        ok: false,
+        state: this.state,
+        latencyMS: null,
+        topology: null,
+        error: err.message,
+      };
     }
   }
 
+  /**
+   * Aborted when this database disconnects, so long-running work such as
+   * `MongoModel.watch()` streams can stop. Undefined until connected.
+   * @returns {AbortSignal|undefined}
+   */
+  get closeSignal() {
+    return this.#closing?.signal;
+  }
+
+  /**
+   * Whether the tenant config (`db_read_only`) forbids writes. Known once
+   * connected.
+   * @returns {boolean}
+   */
+  get readOnly() {
+    return this.#readOnly;
+  }
+
+  /**
+   * Current connection state: "connected", "connecting", "disconnecting"
+   * or "disconnected".
+   * @returns {string}
+   */
+  get state() {
+    const connection = this.#mongooseConnection;
+    if (!connection) {
+      return "disconnected";
+    }
+
+    return mongoose.ConnectionStates[connection.readyState] ?? "disconnected";
+  }
+
+  /**
+   * Adds a listener for "connected", "disconnected", "reconnected" or "error".
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {MongoDatabase} this
+   */
+  on(event, listener) {
+    this.#events.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Adds a one-time listener for a connection event.
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {MongoDatabase} this
+   */
+  once(event, listener) {
+    this.#events.once(event, listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener added with `on()` or `once()`.
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {MongoDatabase} this
+   */
+  off(event, listener) {
+    this.#events.off(event, listener);
+    return this;
+  }
+
   /**
    * Registers a Mongoose model for this tenant’s DB connection.
    * @param {string} name - The name of the model (e.g., "user").
@@ -63,6 +274,186 @@ class MongoDatabase extends BaseDatabase {
     this.models[name] = model;
   }
 
+  /**
+   * Compares the indexes declared on every registered model's schema with the
+   * indexes of its collection, and creates the missing ones.
+   *
+   * Stale indexes (present in the collection but not declared) are only
+   * reported unless `dropStale` is set. With `dryRun` nothing is changed, so
+   * the returned plan can be reviewed before applying it in production.
+   *
+   * @param {object} [options={}]
+   * @param {boolean} [options.dryRun=false] - Only compute the plan.
+   * @param {boolean} [options.dropStale=false] - Drop stale indexes.
+   * @returns {Promise<{
+   *   dryRun: boolean,
+   *   models: Array<{
+   *     model: string,
+   *     collection: string,
+   *     create: Array<{ key: object, options: object }>,
+   *     drop: Array<string>,
+   *     created: Array<string>,
+   *     dropped: Array<string>,
+   *     errors: Array<{ index: string, message: string }>
+   *   }>
+   * }>}
+   * @throws {Error} If the database is not connected, or read-only and not a dry run.
+   */
+  async syncIndexes(options = {}) {
+    const { dryRun = false, dropStale = false } = options;
+
+    if (!this.#mongooseConnection) {
+      throw new Error("Database is not connected.");
+    }
+    if (!dryRun) {
+      this.#requireWritable("syncIndexes");
+    }
+
+    const plan = { dryRun, models: [] };
+
+    for (const [name, model] of Object.entries(this.models)) {
+      const { toCreate, toDrop } = await model.diffIndexes();
+      const declared = model.schema.indexes();
+
+      const entry = {
+        model: name,
+        collection: model.collection.collectionName,
+        create: toCreate.map(key => ({
+          key,
+          options:
+            declared.find(
+              ([declaredKey]) =>
+                JSON.stringify(declaredKey) === JSON.stringify(key)
+            )?.[1] ?? {},
+        })),
+        drop: toDrop,
+        created: [],
+        dropped: [],
+        errors: [],
+      };
+
+      if (!dryRun) {
+        // Drop first, so an index redeclared with new options can be recreated
+        for (const indexName of dropStale ? toDrop : []) {
+          try {
+            await model.collection.dropIndex(indexName);
+            entry.dropped.push(indexName);
+          } catch (err) {
+            entry.errors.push({ index: indexName, message: err.message });
+          }
+        }
+
+        for (const { key, options: indexOptions } of entry.create) {
+          try {
+            entry.created.push(
+              await model.collection.createIndex(key, indexOptions)
+            );
+          } catch (err) {
+            entry.errors.push({
+              index: indexOptions.name ?? JSON.stringify(key),
+              message: err.message,
+            });
+          }
+        }
+      }
+
+      plan.models.push(entry);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Empties the database for tests. "truncate" deletes every document and
+   * keeps the collections and their indexes; "drop" removes the collections
+   * and then recreates the indexes declared by registered models.
+   *
+   * Refuses to run outside the test environment unless `force` is set, so a
+   * misconfigured `db_url` cannot wipe real data.
+   *
+   * @param {object} [options={}]
+   * @param {string} [options.mode="truncate"] - "truncate" or "drop".
+   * @param {boolean} [options.force=false] - Allow running outside tests.
+   * @returns {Promise<Array<string>>} Names of the emptied collections.
+   * @throws {Error} If not testing and not forced, not connected, or read-only.
+   */
+  async reset(options = {}) {
+    const { mode = "truncate", force = false } = options;
+
+    if (!system.isTesting && !force) {
+      throw new Error(
+        "reset() only runs in the test environment unless { force: true } is given."
+      );
+    }
+    if (!["truncate", "drop"].includes(mode)) {
+      throw new Error(`reset() mode must be "truncate" or "drop".`);
+    }
+    if (!this.#mongooseConnection) {
+      throw new Error("Database is not connected.");
+    }
+    this.#requireWritable("reset");
+
+    const db = this.#mongooseConnection.db;
+    const collections = await db
+      .listCollections({ type: "collection" }, { nameOnly: true })
+      .toArray();
+    const names = collections
+      .map(collection => collection.name)
+      .filter(name => !name.startsWith("system."));
+
+    for (const name of names) {
+      if (mode === "truncate") {
+        await db.collection(name).deleteMany({});
+      } else {
+        await db.dropCollection(name).catch(err => {
+          // Already gone, e.g. dropped by a parallel test
+          if (err.codeName !== "NamespaceNotFound") throw err;
+        });
+      }
+    }
+
+    if (mode === "drop") {
+      for (const model of Object.values(this.models)) {
+        await model.createIndexes();
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Inserts fixture documents through the registered models, so defaults and
+   * validation apply. See `readFixtures()` for the accepted sources; keys are
+   * model names.
+   *
+   * @param {object|string} source - Fixture object, file or directory.
+   * @returns {Promise<Object<string, number>>} Documents inserted per model.
+   * @throws {Error} If a fixture names an unregistered model or the database
+   *   is read-only.
+   */
+  async loadFixtures(source) {
+    this.#requireWritable("loadFixtures");
+
+    const fixtures = await readFixtures(source);
+
+    const unknown = Object.keys(fixtures).filter(name => !this.models[name]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Fixtures refer to unregistered models: ${unknown.join(", ")}.`
+      );
+    }
+
+    const inserted = {};
+    for (const [name, documents] of Object.entries(fixtures)) {
+      const result = await this.models[name].insertMany(documents, {
+        session: this.session,
+      });
+      inserted[name] = result.length;
+    }
+
+    return inserted;
+  }
+
   /**
    * Gets a registered model by name.
    * @param {string} name
@@ -79,6 +470,71 @@ class MongoDatabase extends BaseDatabase {
   get connection() {
     return this.#mongooseConnection;
   }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Throws if the database is read-only.
+   * @param {string} method - Name of the calling method.
+   */
+  #requireWritable(method) {
+    if (this.#readOnly) {
+      throw new Error(
+        `${method}() is not allowed: the database of tenant "${this.tenant?.id}" is read-only.`
+      );
+    }
+  }
+
+  /**
+   * Forwards the tenant connection's state changes to this database's events.
+   * @param {mongoose.Connection} connection
+   */
+  #attachListeners(connection) {
+    this.#wasDisconnected = false;
+
+    const handlers = {
+      connected: () => {
+        if (this.#wasDisconnected) {
+          this.#wasDisconnected = false;
+          this.#events.emit("reconnected");
+        }
+      },
+      disconnected: () => {
+        if (this.#mongooseConnection === connection) {
+          this.#wasDisconnected = true;
+          this.#events.emit("disconnected");
+        }
+      },
+      error: err => this.#emitError(err),
+    };
+
+    for (const [event, handler] of Object.entries(handlers)) {
+      connection.on(event, handler);
+      this.#listeners.push([event, handler]);
+    }
+  }
+
+  /**
+   * Removes the listeners added by `#attachListeners()`.
+   * @param {mongoose.Connection} connection
+   */
+  #detachListeners(connection) {
+    for (const [event, handler] of this.#listeners) {
+      connection.off(event, handler);
+    }
+    this.#listeners = [];
+  }
+
+  /**
+   * Emits "error" only when someone listens, so an unhandled error event
+   * cannot crash the process.
+   * @param {Error} err
+   */
+  #emitError(err) {
+    if (this.#events.listenerCount("error") > 0) {
+      this.#events.emit("error", err);
+    }
+  }
 }
 
 module.exports = MongoDatabase;
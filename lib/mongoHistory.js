@@ -0,0 +1,82 @@
+// mongoHistory.js:
+
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * Builds the schema of a model's change history collection.
+ *
+ * @param {string} collection - Collection name, e.g. "user_history".
+ * @param {*} [idType=ObjectId] - Schema type of the tracked model's `_id`.
+ * @returns {mongoose.Schema}
+ */
+function historySchema(collection, idType = mongoose.Schema.Types.ObjectId) {
+  const { Mixed } = mongoose.Schema.Types;
+
+  const schema = new mongoose.Schema(
+    {
+      documentId: { type: idType, required: true },
+      modelName: { type: String, required: true },
+      action: {
+        type: String,
+        enum: ["create", "update", "delete", "restore"],
+        required: true,
+      },
+      actor: { type: Mixed, default: null },
+      before: { type: Mixed, default: null },
+      after: { type: Mixed, default: null },
+      diff: { type: Mixed, default: {} },
+      createdAt: { type: Date, default: Date.now },
+    },
+    { collection, versionKey: false, minimize: false }
+  );
+
+  schema.index({ documentId: 1, createdAt: 1 });
+
+  return schema;
+}
+
+/**
+ * Lists the top-level fields that differ between two document snapshots.
+ *
+ * @param {object|null} before - Snapshot before the change.
+ * @param {object|null} after - Snapshot after the change.
+ * @returns {Object<string, { from: *, to: * }>}
+ */
+function diffDocuments(before, after) {
+  const diff = {};
+  const fields = new Set([
+    ...Object.keys(before ?? {}),
+    ...Object.keys(after ?? {}),
+  ]);
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[field] = { from, to };
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Returns a plain-object snapshot of a mongoose document.
+ *
+ * @param {object|null} document
+ * @returns {object|null}
+ */
+function snapshot(document) {
+  if (!document) {
+    return null;
+  }
+
+  return typeof document.toObject === "function"
+    ? document.toObject({ depopulate: true })
+    : { ...document };
+}
+
+module.exports = { diffDocuments, historySchema, snapshot };
@@ -7,16 +7,74 @@
  *
  * MongoLog logs messages to a MongoDB collection and optionally mirrors them to the console.
  * Useful for server environments requiring persistent or queryable log storage.
+ *
+ * With `log_buffer` set to "true", entries are queued in memory and written in
+ * batches (`log_batch_size`, `log_flush_interval_ms`), so logging does not put
+ * a database round trip on the caller's path. The queue holds at most
+ * `log_buffer_max` entries; `log_overflow` is "drop-oldest" (default) or "block".
+ * Entries that cannot be written are reported on the console instead.
+ *
+ * A trailing plain object argument is stored as the entry's `meta`, and Errors
+ * are stored with their stack, code and cause. Each entry also carries a
+ * `context` with the tenant id, hostname, pid and any fields set with
+ * `MongoLog.runWithContext()` (e.g. a request or correlation id).
+ *
+ * `log_level` (default "info") is the minimum severity stored in MongoDB and
+ * `log_console_level` (defaults to `log_level`) the minimum severity mirrored
+ * to the console. Both can be changed at runtime with `setLevel()` and
+ * `setConsoleLevel()`.
+ *
+ * Entries go to the tenant's database, or to `log_db_name` when set. The
+ * connection comes from `MongoDatabase.registry`, so logs share the cluster's
+ * pool with the tenant's MongoDatabase, and the pool stays open until both
+ * have disconnected.
+ *
+ * The collection is created on connect, capped when `log_capped` is set
+ * (`log_max_size` in MB, optional `log_max_docs`). Otherwise entries can
+ * expire after `log_expiration_days`; the two cannot be combined. All
+ * `log_*` keys are validated when the MongoLog is constructed.
+ *
+ * Messages, metadata and context are redacted before they are stored or
+ * mirrored to the console: keys listed in `log_redact_paths` and matches of
+ * `log_redact_patterns` (both comma-separated) are replaced by
+ * `log_redact_mask`, on top of built-in keys such as "password" and the
+ * credentials in MongoDB URIs (`log_redact_defaults` set to "false" turns
+ * those off).
+ *
+ * Stored entries can be searched with `query()`, counted with `stats()` and
+ * followed live with `tail()`.
  */
 
+const os = require("os");
+const { setTimeout: sleep } = require("timers/promises");
 const { BaseLog } = require("zyx-base");
-const { MongoClient } = require("mongodb");
+const { parseDatabaseConfig } = require("./databaseConfig");
+const LogBuffer = require("./logBuffer");
+const LogRedactor = require("./logRedactor");
+const MongoDatabase = require("./mongoDatabase");
+const { currentLogContext, runWithLogContext } = require("./logContext");
+const { LOG_LEVELS, parseLogConfig } = require("./logConfig");
+const { formatArgs, toSafeValue } = require("./logFormat");
+const {
+  decodeCursor,
+  encodeCursor,
+  keysetFilter,
+  keysetOrder,
+} = require("./pagination");
+
+// Pause before reopening a tailable cursor that has died
+const TAIL_RETRY_MS = 1000;
 
 class MongoLog extends BaseLog {
-  #mongoClient = null;
+  #connection = null;
+  #registry = null;
   #db = null;
   #collection = null;
-  #ownsConnection = false;
+  #buffer = null;
+  #settings;
+  #redactor;
+  #level = "info";
+  #consoleLevel = "info";
   _logToConsole = true;
 
   /**
@@ -27,10 +85,58 @@ class MongoLog extends BaseLog {
   constructor(tenant = undefined) {
     super(tenant);
 
-    this._logToConsole = this.config?.log_console !== "false"; // defaults to true
-    this._collectionName = this.config?.log_collection_name || "logs";
-    this._expirationDays =
-      Number.parseInt(this.config?.log_expiration_days, 10) || 0;
+    this.#settings = parseLogConfig(this.config);
+
+    this._logToConsole = this.#settings.console;
+    this._collectionName = this.#settings.collectionName;
+    this._expirationDays = this.#settings.expirationDays;
+    this._buffered = this.#settings.buffer;
+
+    this.#redactor = new LogRedactor({
+      paths: this.#settings.redactPaths,
+      patterns: this.#settings.redactPatterns,
+      mask: this.#settings.redactMask,
+      defaults: this.#settings.redactDefaults,
+    });
+
+    this.setLevel(this.#settings.level);
+    this.setConsoleLevel(this.#settings.consoleLevel);
+  }
+
+  /**
+   * Minimum severity stored in MongoDB.
+   * @returns {string}
+   */
+  get level() {
+    return this.#level;
+  }
+
+  /**
+   * Minimum severity mirrored to the console.
+   * @returns {string}
+   */
+  get consoleLevel() {
+    return this.#consoleLevel;
+  }
+
+  /**
+   * Changes the minimum severity stored in MongoDB.
+   *
+   * @param {string} level - "trace", "debug", "log", "info", "warn" or "error".
+   * @throws {Error} If the level is unknown.
+   */
+  setLevel(level) {
+    this.#level = MongoLog.#checkLevel(level);
+  }
+
+  /**
+   * Changes the minimum severity mirrored to the console.
+   *
+   * @param {string} level - "trace", "debug", "log", "info", "warn" or "error".
+   * @throws {Error} If the level is unknown.
+   */
+  setConsoleLevel(level) {
+    this.#consoleLevel = MongoLog.#checkLevel(level);
   }
 
   /**
@@ -39,73 +145,88 @@ class MongoLog extends BaseLog {
    * @returns {Promise<void>}
    */
   async connect() {
-    // Use existing shared MongoClient from tenant if available
-    if (
-      this.tenant?.db?.connection &&
-      this.tenant.db.connection instanceof MongoClient
-    ) {
-      this.#mongoClient = this.tenant.db.connection;
-      this.#ownsConnection = false;
-    }
-
-    // If not connected, create a new MongoClient
-    if (!this.#mongoClient) {
-      const url = this.config?.db_url;
-      if (!url) {
-        throw new Error("Missing MongoDB connection URL (db_url) in config.");
-      }
-
-      this.#mongoClient = new MongoClient(url, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
-      });
-
-      await this.#mongoClient.connect();
-      this.#ownsConnection = true;
+    if (this.#collection) {
+      return;
     }
 
-    // Derive DB and collection
-    const dbName = MongoLog._parseDbName(this.config.db_url) || "default_db";
-    this.#db = this.#mongoClient.db(dbName);
+    // Own reference on the cluster's pool, so it outlives tenant.db's
+    const { uri, options } = parseDatabaseConfig(this.config);
+    this.#registry = MongoDatabase.registry;
+    this.#connection = await this.#registry.acquire(uri, options);
+
+    const dbName = this.#settings.dbName ?? this.#connection.name;
+    this.#db = this.#connection.getClient().db(dbName);
     this.#collection = this.#db.collection(this._collectionName);
 
-    // Create TTL index for log expiration
-    if (this._expirationDays > 0) {
-      try {
-        await this.#collection.createIndex(
-          { createdAt: 1 },
-          { expireAfterSeconds: this._expirationDays * 86400 }
+    try {
+      await this.#createCollection();
+    } catch (err) {
+      await this.disconnect();
+      throw err;
+    }
+
+    try {
+      await this.#ensureIndexes();
+    } catch (err) {
+      if (this._logToConsole) {
+        console.warn(
+          "Failed to create indexes on logs collection:",
+          err.message
         );
-      } catch (err) {
-        if (this._logToConsole) {
-          console.warn(
-            "Failed to create TTL index on logs collection:",
-            err.message
-          );
-        }
       }
     }
 
+    if (this._buffered) {
+      const collection = this.#collection;
+      this.#buffer = new LogBuffer({
+        write: entries => collection.insertMany(entries, { ordered: false }),
+        onError: (err, entries) => this.#fallback(err, entries),
+        batchSize: this.#settings.batchSize,
+        flushIntervalMS: this.#settings.flushIntervalMS,
+        maxEntries: this.#settings.bufferMax,
+        overflow: this.#settings.overflow,
+      });
+    }
+
     this.setConnection(this.#collection);
   }
 
   /**
-   * Closes the MongoDB connection if this instance owns it.
+   * Writes all buffered entries now. Does nothing when buffering is off.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.#buffer?.flush();
+  }
+
+  /**
+   * Flushes buffered entries, then releases the log's registry reference.
+   * The shared pool closes once the tenant's database has released its own.
    *
    * @returns {Promise<void>}
    */
   async disconnect() {
-    if (this.#mongoClient && this.#ownsConnection) {
-      await this.#mongoClient.close();
+    const buffer = this.#buffer;
+    this.#buffer = null;
+    await buffer?.flush();
+
+    const connection = this.#connection;
+    const registry = this.#registry;
+    this.#connection = null;
+    this.#registry = null;
+
+    if (connection && registry) {
+      await registry.release(connection);
     }
 
-    this.#mongoClient = null;
     this.#db = null;
     this.#collection = null;
   }
 
   /**
    * Internal method to insert a log entry into MongoDB.
+   * Write failures are reported on the console instead of being thrown.
    *
    * @param {string} level - Log level (e.g., "info", "error").
    * @param {string} message - The log message.
@@ -118,65 +239,225 @@ class MongoLog extends BaseLog {
 
     const entry = {
       level,
-      message,
-      meta,
+      message: this.#redactor.redactString(message),
+      meta: this.#redactor.redact(toSafeValue(meta)),
+      context: {
+        tenantId: this.tenant?.id ?? null,
+        hostname: os.hostname(),
+        pid: process.pid,
+        ...this.#redactor.redact(toSafeValue(currentLogContext())),
+      },
       createdAt: new Date(),
     };
 
-    await this.#collection.insertOne(entry);
+    if (this.#buffer) {
+      await this.#buffer.push(entry);
+      return;
+    }
+
+    try {
+      await this.#collection.insertOne(entry);
+    } catch (err) {
+      this.#fallback(err, [entry]);
+    }
+  }
+
+  /**
+   * Reports entries that could not be written. Each is printed unless its
+   * level was already mirrored to the console.
+   *
+   * @param {Error} err - The write error.
+   * @param {Array<object>} entries - Entries that may not have been written.
+   */
+  #fallback(err, entries) {
+    console.error(
+      `MongoLog failed to write ${entries.length} log entr${
+        entries.length === 1 ? "y" : "ies"
+      }: ${err.message}`
+    );
+
+    for (const entry of entries.filter(entry => !this.#prints(entry.level))) {
+      console.log(
+        `${entry.createdAt.toISOString()} [${entry.level}] ${entry.message}`
+      );
+    }
+  }
+
+  // ─── Querying ────────────────────────────────────────────────────────────────
+
+  /**
+   * Searches stored entries, newest first. Buffered entries that have not
+   * been flushed yet are not included.
+   *
+   * @param {object} [options={}]
+   * @param {string|Array<string>} [options.level] - Level or levels to include.
+   * @param {Date|string|number} [options.from] - Earliest `createdAt` (inclusive).
+   * @param {Date|string|number} [options.to] - Latest `createdAt` (exclusive).
+   * @param {string} [options.text] - Case-insensitive substring of the message.
+   * @param {object} [options.meta] - Exact matches on metadata fields, e.g.
+   *   `{ userId: 42 }` or `{ "error.code": 11000 }`.
+   * @param {number} [options.limit=100] - Maximum entries per page.
+   * @param {string} [options.cursor] - `nextCursor` of the previous page.
+   * @returns {Promise<{ items: Array<object>, nextCursor: string|null }>}
+   */
+  async query(options = {}) {
+    const { limit = 100, cursor } = options;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error("query() limit must be a positive integer.");
+    }
+
+    const keyset = { field: "createdAt", direction: -1 };
+    const filter = MongoLog.#entryFilter(options);
+    const entries = await this.#requireCollection()
+      .find(
+        cursor
+          ? {
+              $and: [
+                filter,
+                keysetFilter(keyset, decodeCursor(cursor, keyset.field)),
+              ],
+            }
+          : filter
+      )
+      .sort(keysetOrder(keyset))
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = entries.length > limit;
+    const items = hasMore ? entries.slice(0, limit) : entries;
+
+    return {
+      items,
+      nextCursor: hasMore
+        ? encodeCursor(items[items.length - 1], keyset.field)
+        : null,
+    };
+  }
+
+  /**
+   * Counts stored entries per level over a time window.
+   *
+   * @param {object} [options={}]
+   * @param {Date|string|number} [options.from] - Earliest `createdAt` (inclusive).
+   * @param {Date|string|number} [options.to] - Latest `createdAt` (exclusive).
+   * @returns {Promise<{ total: number, levels: object }>} E.g.
+   *   `{ total: 12, levels: { info: 10, error: 2 } }`.
+   */
+  async stats(options = {}) {
+    const { from, to } = options;
+    const counts = await this.#requireCollection()
+      .aggregate([
+        { $match: MongoLog.#entryFilter({ from, to }) },
+        { $group: { _id: "$level", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ])
+      .toArray();
+
+    const levels = {};
+    for (const { _id, count } of counts) {
+      levels[_id] = count;
+    }
+
+    return {
+      total: counts.reduce((sum, { count }) => sum + count, 0),
+      levels,
+    };
+  }
+
+  /**
+   * Streams entries as they are written, e.g.
+   * `for await (const entry of log.tail({ level: "error" })) { ... }`.
+   *
+   * Capped collections are followed with a tailable cursor; otherwise a
+   * change stream is used, which requires a replica set. Stop by breaking out
+   * of the loop or by aborting `options.signal`.
+   *
+   * @param {object} [options={}]
+   * @param {string|Array<string>} [options.level] - Level or levels to include.
+   * @param {string} [options.text] - Case-insensitive substring of the message.
+   * @param {object} [options.meta] - Exact matches on metadata fields.
+   * @param {AbortSignal} [options.signal] - Ends the stream when aborted.
+   * @returns {AsyncGenerator<object>} New log entries.
+   */
+  async *tail(options = {}) {
+    const { level, text, meta, signal } = options;
+    const collection = this.#requireCollection();
+    const filter = MongoLog.#entryFilter({ level, text, meta });
+
+    if (await collection.isCapped()) {
+      yield* MongoLog.#tailCapped(collection, filter, signal);
+    } else {
+      yield* MongoLog.#tailChanges(collection, filter, signal);
+    }
   }
 
   // ─── Overridden Log Methods ──────────────────────────────────────────────────
 
   async assert(expression, ...args) {
     if (!expression) {
-      const message = args.map(String).join(" ");
-      await this._insertLog("assert", message);
-      if (this._logToConsole) super.assert(expression, ...args);
+      if (this.#stores("assert")) {
+        const { message, meta } = this.#format(args);
+        await this._insertLog("assert", message, meta);
+      }
+      if (this.#prints("assert"))
+        super.assert(expression, ...this.#redacted(args));
     } else if (this._logToConsole) {
-      super.assert(expression, ...args);
+      super.assert(expression, ...this.#redacted(args));
     }
   }
 
   async debug(...args) {
-    const message = args.map(String).join(" ");
-    await this._insertLog("debug", message);
-    if (this._logToConsole) super.debug(...args);
+    if (this.#stores("debug")) {
+      const { message, meta } = this.#format(args);
+      await this._insertLog("debug", message, meta);
+    }
+    if (this.#prints("debug")) super.debug(...this.#redacted(args));
   }
 
   async error(...args) {
-    const message = args.map(String).join(" ");
-    await this._insertLog("error", message);
-    if (this._logToConsole) super.error(...args);
+    if (this.#stores("error")) {
+      const { message, meta } = this.#format(args);
+      await this._insertLog("error", message, meta);
+    }
+    if (this.#prints("error")) super.error(...this.#redacted(args));
   }
 
   async info(...args) {
-    const message = args.map(String).join(" ");
-    await this._insertLog("info", message);
-    if (this._logToConsole) super.info(...args);
+    if (this.#stores("info")) {
+      const { message, meta } = this.#format(args);
+      await this._insertLog("info", message, meta);
+    }
+    if (this.#prints("info")) super.info(...this.#redacted(args));
   }
 
   async log(...args) {
-    const message = args.map(String).join(" ");
-    await this._insertLog("log", message);
-    if (this._logToConsole) super.log(...args);
+    if (this.#stores("log")) {
+      const { message, meta } = this.#format(args);
+      await this._insertLog("log", message, meta);
+    }
+    if (this.#prints("log")) super.log(...this.#redacted(args));
   }
 
   async trace(...args) {
-    const message = args.map(String).join(" ");
-    await this._insertLog("trace", message);
-    if (this._logToConsole) super.trace(...args);
+    if (this.#stores("trace")) {
+      const { message, meta } = this.#format(args);
+      await this._insertLog("trace", message, meta);
+    }
+    if (this.#prints("trace")) super.trace(...this.#redacted(args));
   }
 
   async warn(...args) {
-    const message = args.map(String).join(" ");
-    await this._insertLog("warn", message);
-    if (this._logToConsole) super.warn(...args);
+    if (this.#stores("warn")) {
+      const { message, meta } = this.#format(args);
+      await this._insertLog("warn", message, meta);
+    }
+    if (this.#prints("warn")) super.warn(...this.#redacted(args));
   }
 
   async table(...args) {
     // Skipped from Mongo since it's primarily visual
-    if (this._logToConsole) super.table(...args);
+    if (this._logToConsole) super.table(...this.#redacted(args));
   }
 
   // ─── Console-Only Timing Methods ─────────────────────────────────────────────
@@ -190,7 +471,7 @@ class MongoLog extends BaseLog {
   }
 
   timeLog(label, ...args) {
-    if (this._logToConsole) super.timeLog(label, ...args);
+    if (this._logToConsole) super.timeLog(label, ...this.#redacted(args));
   }
 
   timeStamp(label) {
@@ -200,20 +481,263 @@ class MongoLog extends BaseLog {
   // ─── Helpers ─────────────────────────────────────────────────────────────────
 
   /**
-   * Extracts the database name from a MongoDB URI.
+   * Returns redacted copies of log arguments for console mirroring. Objects
+   * other than errors are copied with `toSafeValue()` first, so the keys of
+   * class instances are masked too.
+   * @param {Array<*>} args
+   * @returns {Array<*>}
+   */
+  #redacted(args) {
+    return args.map(arg =>
+      this.#redactor.redact(
+        arg instanceof Error || typeof arg !== "object" ? arg : toSafeValue(arg)
+      )
+    );
+  }
+
+  /**
+   * Formats log arguments with every object redacted, including those that
+   * end up stringified in the message.
+   */
+  #format(args) {
+    return formatArgs(args, value => this.#redactor.redact(value));
+  }
+
+  /**
+   * Creates the log collection if it does not exist yet, capped when
+   * `log_capped` is set. An existing collection is left as it is.
+   */
+  async #createCollection() {
+    const existing = await this.#db
+      .listCollections({ name: this._collectionName }, { nameOnly: true })
+      .toArray();
+
+    if (existing.length > 0) {
+      if (
+        this.#settings.capped &&
+        this._logToConsole &&
+        !(await this.#collection.isCapped())
+      ) {
+        console.warn(
+          `Log collection "${this._collectionName}" already exists and is not capped; log_capped is ignored.`
+        );
+      }
+      return;
+    }
+
+    const options = this.#settings.capped
+      ? {
+          capped: true,
+          size: this.#settings.maxSizeMB * 1024 * 1024,
+          max: this.#settings.maxDocs,
+        }
+      : {};
+
+    try {
+      await this.#db.createCollection(this._collectionName, options);
+    } catch (err) {
+      // Another process created it first
+      if (err.codeName !== "NamespaceExists") throw err;
+    }
+  }
+
+  /**
+   * Creates the query indexes and keeps the `createdAt` index in line with
+   * `log_expiration_days`: a TTL index named "createdAt_ttl" when expiration
+   * is on, a plain one otherwise. Safe to run on every connect.
+   */
+  async #ensureIndexes() {
+    const collection = this.#collection;
+    const expireAfterSeconds =
+      this._expirationDays > 0 ? this._expirationDays * 86400 : undefined;
+    const name = expireAfterSeconds ? "createdAt_ttl" : "createdAt_1";
+
+    const current = (await collection.indexes()).find(
+      index => Object.keys(index.key).length === 1 && index.key.createdAt === 1
+    );
+
+    const matches =
+      current?.name === name &&
+      (current.expireAfterSeconds === undefined) ===
+        (expireAfterSeconds === undefined);
+
+    if (matches && current.expireAfterSeconds !== expireAfterSeconds) {
+      // Only the expiration changed, which collMod updates in place
+      await this.#db.command({
+        collMod: this._collectionName,
+        index: { name, expireAfterSeconds },
+      });
+    } else if (!matches) {
+      if (current) await collection.dropIndex(current.name);
+      await collection.createIndex(
+        { createdAt: 1 },
+        expireAfterSeconds ? { name, expireAfterSeconds } : { name }
+      );
+    }
+
+    await collection.createIndex(
+      { level: 1, createdAt: -1 },
+      { name: "level_createdAt" }
+    );
+  }
+
+  /**
+   * Checks whether entries of `level` are stored in MongoDB.
+   * @param {string} level
+   * @returns {boolean}
+   */
+  #stores(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.#level];
+  }
+
+  /**
+   * Checks whether entries of `level` are mirrored to the console.
+   * @param {string} level
+   * @returns {boolean}
+   */
+  #prints(level) {
+    return (
+      this._logToConsole && LOG_LEVELS[level] >= LOG_LEVELS[this.#consoleLevel]
+    );
+  }
+
+  /**
+   * Validates a level name.
+   * @param {string} level
+   * @returns {string} The level.
+   * @throws {Error} If the level is unknown.
+   */
+  static #checkLevel(level) {
+    if (!Object.hasOwn(LOG_LEVELS, level)) {
+      throw new Error(
+        `Unknown log level "${level}" (expected one of: ${Object.keys(
+          LOG_LEVELS
+        ).join(", ")}).`
+      );
+    }
+    return level;
+  }
+
+  /**
+   * Returns the log collection, or throws when not connected.
+   * @returns {Collection}
+   */
+  #requireCollection() {
+    if (!this.#collection) {
+      throw new Error("MongoLog is not connected to the database.");
+    }
+    return this.#collection;
+  }
+
+  /**
+   * Builds the filter shared by `query()`, `stats()` and `tail()`.
    *
-   * @param {string} uri - Full MongoDB connection URI.
-   * @returns {string|null} The database name, or null if not found.
+   * @param {object} options - Filter options, see `query()`.
+   * @returns {object}
+   */
+  static #entryFilter({ level, from, to, text, meta }) {
+    const filter = {};
+
+    // Not checked against LOG_LEVELS: winston transports store their own levels
+    if (level !== undefined) {
+      filter.level = { $in: [].concat(level) };
+    }
+
+    if (from !== undefined || to !== undefined) {
+      filter.createdAt = {};
+      if (from !== undefined) filter.createdAt.$gte = new Date(from);
+      if (to !== undefined) filter.createdAt.$lt = new Date(to);
+    }
+
+    if (text) {
+      filter.message = {
+        $regex: text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        $options: "i",
+      };
+    }
+
+    for (const [key, value] of Object.entries(meta ?? {})) {
+      filter[`meta.${key}`] = value;
+    }
+
+    return filter;
+  }
+
+  /**
+   * Follows a capped collection with a tailable cursor, starting after the
+   * newest existing entry. A cursor that dies (e.g. on an empty collection)
+   * is reopened after a short pause.
    */
-  static _parseDbName(uri) {
+  static async *#tailCapped(collection, filter, signal) {
+    const newest = await collection
+      .find({}, { sort: { $natural: -1 }, limit: 1, projection: { _id: 1 } })
+      .next();
+    let lastId = newest?._id ?? null;
+
+    while (!signal?.aborted) {
+      const cursor = collection.find(
+        lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter,
+        { tailable: true, awaitData: true }
+      );
+      const close = () => cursor.close().catch(() => {});
+      signal?.addEventListener("abort", close, { once: true });
+
+      try {
+        for await (const entry of cursor) {
+          lastId = entry._id;
+          yield entry;
+        }
+      } catch (err) {
+        if (!signal?.aborted) throw err;
+      } finally {
+        signal?.removeEventListener("abort", close);
+        await close();
+      }
+
+      if (!signal?.aborted) {
+        await sleep(TAIL_RETRY_MS, undefined, { signal }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Follows inserts into a regular collection with a change stream.
+   */
+  static async *#tailChanges(collection, filter, signal) {
+    const prefixed = {};
+    for (const [key, value] of Object.entries(filter)) {
+      prefixed[`fullDocument.${key}`] = value;
+    }
+
+    const stream = collection.watch([
+      { $match: { operationType: "insert", ...prefixed } },
+    ]);
+    const close = () => stream.close().catch(() => {});
+    signal?.addEventListener("abort", close, { once: true });
+
     try {
-      const withoutParams = uri.split("?")[0];
-      const parts = withoutParams.split("/");
-      return parts.length > 3 ? parts[3] : null;
-    } catch {
-      return null;
+      for await (const change of stream) {
+        yield change.fullDocument;
+      }
+    } catch (err) {
+      if (!signal?.aborted) throw err;
+    } finally {
+      signal?.removeEventListener("abort", close);
+      await close();
     }
   }
+
+  /**
+   * Runs `fn` with fields (e.g. `requestId`, `correlationId`) that are added to
+   * the `context` of every entry logged while it runs, across async calls.
+   *
+   * @param {object} context - Fields to attach to log entries.
+   * @param {Function} fn - Function to run.
+   * @returns {*} The value returned by `fn`.
+   */
+  static runWithContext(context, fn) {
+    return runWithLogContext(context, fn);
+  }
 }
 
 module.exports = MongoLog;
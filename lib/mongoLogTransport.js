@@ -0,0 +1,76 @@
+// mongoLogTransport.js:
+
+"use strict";
+
+// load all necessary modules
+const { Transport } = require("winston");
+
+/**
+ * MongoLogTransport is a winston transport that writes to a connected
+ * MongoLog, so winston loggers share its collection, TTL, buffering and
+ * tenant context.
+ *
+ * Entries keep winston's level names (e.g. "http", "verbose") and whatever
+ * the logger's formats produced: `message` is stored as the message and every
+ * other field (timestamp, stack, metadata) under `meta`. Filtering is left to
+ * winston's `level` option; MongoLog's `log_level` does not apply.
+ *
+ * @example
+ * const logger = winston.createLogger({
+ *   format: winston.format.combine(winston.format.timestamp(), winston.format.errors()),
+ *   transports: [new MongoLogTransport({ mongoLog: tenant.log, level: "http" })],
+ * });
+ *
+ * @extends Transport
+ */
+class MongoLogTransport extends Transport {
+  #log;
+
+  /**
+   * Constructs a MongoLogTransport.
+   *
+   * @param {object} options - Winston transport options, plus:
+   * @param {MongoLog} options.mongoLog - Connected MongoLog to write through.
+   * @throws {Error} If no MongoLog is given.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.mongoLog) {
+      throw new Error("MongoLogTransport requires a MongoLog instance.");
+    }
+
+    this.#log = options.mongoLog;
+  }
+
+  /**
+   * Writes one winston entry. Called by winston.
+   *
+   * @param {object} info - Formatted winston entry.
+   * @param {Function} callback - Signals winston that the entry was handled.
+   */
+  log(info, callback) {
+    const { level, message, ...meta } = info;
+
+    this.#log._insertLog(level, String(message ?? ""), meta).then(
+      () => {
+        this.emit("logged", info);
+        callback();
+      },
+      err => {
+        this.emit("error", err);
+        callback();
+      }
+    );
+  }
+
+  /**
+   * Writes entries the MongoLog still buffers. Called by winston when the
+   * logger is closed; the MongoLog itself stays connected.
+   */
+  close() {
+    this.#log.flush().catch(err => this.emit("error", err));
+  }
+}
+
+module.exports = MongoLogTransport;
@@ -0,0 +1,346 @@
+// mongoMigrator.js:
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * MongoMigrator applies versioned migrations to tenant databases.
+ *
+ * Migration files live in one directory and are named `<version>-<name>.js`,
+ * e.g. `003-add-email-index.js`. Each exports `up(database)` and optionally
+ * `down(database)`, where `database` is the tenant's connected MongoDatabase.
+ *
+ * Applied versions are tracked per tenant in a `migrations` collection, and a
+ * lock document keeps two processes from migrating the same tenant at once.
+ * The lock is renewed while migrations run, so long migrations keep it.
+ */
+class MongoMigrator {
+  #directory;
+  #definitions;
+  #collectionName;
+  #lockTimeoutMS;
+  #migrations;
+
+  /**
+   * Constructs a MongoMigrator.
+   *
+   * @param {object} options
+   * @param {string} [options.directory] - Directory containing migration files.
+   * @param {Array<{ version: number, name: string, up: Function, down?: Function }>} [options.migrations]
+   *   Migrations given in code instead of a directory.
+   * @param {string} [options.collectionName="migrations"] - Tracking collection.
+   * @param {number} [options.lockTimeoutMS=600000] - After this time without
+   *   renewal a lock is considered abandoned and can be taken over. Held locks
+   *   are renewed every third of it.
+   * @throws {Error} If neither a directory nor migrations are given.
+   */
+  constructor(options = {}) {
+    if (!options.directory && !options.migrations) {
+      throw new Error("MongoMigrator requires a directory or migrations.");
+    }
+
+    this.#directory = options.directory;
+    this.#definitions = options.migrations;
+    this.#collectionName = options.collectionName || "migrations";
+    this.#lockTimeoutMS = options.lockTimeoutMS ?? 10 * 60 * 1000;
+  }
+
+  /**
+   * Returns all known migrations, ordered by version.
+   *
+   * @returns {Array<{ version: number, name: string, up: Function, down?: Function }>}
+   * @throws {Error} If a migration is malformed or a version is used twice.
+   */
+  get migrations() {
+    if (!this.#migrations) {
+      const migrations = this.#definitions ?? this.#loadDirectory();
+
+      for (const migration of migrations) {
+        if (!Number.isInteger(migration.version) || migration.version < 1) {
+          throw new Error(
+            `Migration "${migration.name}" has an invalid version "${migration.version}".`
+          );
+        }
+        if (typeof migration.up !== "function") {
+          throw new Error(
+            `Migration ${migration.version} "${migration.name}" does not export up().`
+          );
+        }
+      }
+
+      this.#migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+      this.#migrations.forEach((migration, index, all) => {
+        if (index > 0 && all[index - 1].version === migration.version) {
+          throw new Error(`Duplicate migration version ${migration.version}.`);
+        }
+      });
+    }
+
+    return this.#migrations;
+  }
+
+  /**
+   * Reports which migrations a tenant has applied and which are pending.
+   *
+   * @param {MongoDatabase} database - Connected tenant database.
+   * @returns {Promise<{ current: number, applied: Array<object>, pending: Array<object> }>}
+   */
+  async status(database) {
+    const applied = await this.#tracking(database)
+      .find({}, { sort: { _id: 1 } })
+      .toArray();
+    const appliedVersions = new Set(applied.map(record => record._id));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1]._id : 0,
+      applied: applied.map(record => ({
+        version: record._id,
+        name: record.name,
+        appliedAt: record.appliedAt,
+      })),
+      pending: this.migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name })),
+    };
+  }
+
+  /**
+   * Migrates each tenant up or down to the target version. Tenants are
+   * migrated one after another; a failing tenant does not stop the others.
+   *
+   * @param {object} options
+   * @param {Array<MongoDatabase>} options.tenants - Connected tenant databases.
+   * @param {number} [options.to] - Target version; defaults to the latest.
+   *   Versions above it that were applied are reverted with `down()`.
+   * @returns {Promise<Array<{
+   *   tenant: string,
+   *   ok: boolean,
+   *   from: number,
+   *   to: number,
+   *   applied: Array<{ version: number, name: string, direction: string }>,
+   *   error?: string
+   * }>>} One result per tenant.
+   */
+  async migrate({ tenants = [], to } = {}) {
+    const migrations = this.migrations;
+    const target =
+      to ??
+      (migrations.length > 0 ? migrations[migrations.length - 1].version : 0);
+
+    const results = [];
+    for (const database of tenants) {
+      results.push(await this.#migrateTenant(database, target));
+    }
+
+    return results;
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Migrates a single tenant while holding its migration lock.
+   */
+  async #migrateTenant(database, target) {
+    const result = {
+      tenant: database.tenant?.id ?? database.connection?.name,
+      ok: false,
+      from: 0,
+      to: 0,
+      applied: [],
+    };
+
+    let owner;
+    let heartbeat;
+    try {
+      owner = await this.#lock(database);
+      heartbeat = setInterval(() => {
+        this.#renewLock(database, owner).catch(() => {});
+      }, this.#lockTimeoutMS / 3);
+      heartbeat.unref?.();
+
+      const tracking = this.#tracking(database);
+      const applied = await tracking.find({}, { sort: { _id: 1 } }).toArray();
+      const appliedVersions = new Set(applied.map(record => record._id));
+
+      result.from = applied.length > 0 ? applied[applied.length - 1]._id : 0;
+      result.to = result.from;
+
+      // Revert newest first, down to the target
+      for (const record of [...applied].reverse()) {
+        if (record._id <= target) continue;
+
+        const migration = this.migrations.find(m => m.version === record._id);
+        if (typeof migration?.down !== "function") {
+          throw new Error(
+            `Migration ${record._id} "${record.name}" cannot be reverted (no down()).`
+          );
+        }
+
+        await migration.down(database);
+        await this.#requireLock(database, owner);
+        await tracking.deleteOne({ _id: record._id });
+        result.applied.push({
+          version: record._id,
+          name: record.name,
+          direction: "down",
+        });
+      }
+
+      // Apply oldest first, up to the target
+      for (const migration of this.migrations) {
+        if (
+          migration.version > target ||
+          appliedVersions.has(migration.version)
+        ) {
+          continue;
+        }
+
+        await migration.up(database);
+        await this.#requireLock(database, owner);
+        await tracking.insertOne({
+          _id: migration.version,
+          name: migration.name,
+          appliedAt: new Date(),
+        });
+        result.applied.push({
+          version: migration.version,
+          name: migration.name,
+          direction: "up",
+        });
+      }
+
+      const remaining = await tracking
+        .find({}, { sort: { _id: -1 }, limit: 1 })
+        .toArray();
+      result.to = remaining.length > 0 ? remaining[0]._id : 0;
+      result.ok = true;
+    } catch (err) {
+      result.error = err.message;
+    } finally {
+      clearInterval(heartbeat);
+      if (owner) {
+        await this.#unlock(database, owner).catch(() => {});
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Takes the tenant's migration lock.
+   *
+   * @returns {Promise<string>} Lock owner token.
+   * @throws {Error} If another process holds an unexpired lock.
+   */
+  async #lock(database) {
+    const locks = this.#locks(database);
+    const owner = crypto.randomUUID();
+    const now = new Date();
+
+    try {
+      // Matches a missing or expired lock; a held lock makes the upsert collide
+      await locks.updateOne(
+        { _id: "lock", lockedUntil: { $lt: now } },
+        {
+          $set: {
+            owner,
+            lockedAt: now,
+            lockedUntil: new Date(now.getTime() + this.#lockTimeoutMS),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new Error("Migrations are locked by another process.");
+      }
+      throw err;
+    }
+
+    return owner;
+  }
+
+  /**
+   * Extends the tenant's migration lock if this process still owns it.
+   *
+   * @returns {Promise<boolean>} False if the lock was lost.
+   */
+  async #renewLock(database, owner) {
+    const result = await this.#locks(database).updateOne(
+      { _id: "lock", owner },
+      { $set: { lockedUntil: new Date(Date.now() + this.#lockTimeoutMS) } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * Renews the tenant's migration lock before recording a migration.
+   *
+   * @throws {Error} If another process took over the lock.
+   */
+  async #requireLock(database, owner) {
+    if (!(await this.#renewLock(database, owner))) {
+      throw new Error("Lost the migration lock to another process.");
+    }
+  }
+
+  /**
+   * Releases the tenant's migration lock if this process still owns it.
+   */
+  async #unlock(database, owner) {
+    await this.#locks(database).deleteOne({ _id: "lock", owner });
+  }
+
+  /**
+   * Returns the tenant's migration tracking collection.
+   */
+  #tracking(database) {
+    return this.#nativeDb(database).collection(this.#collectionName);
+  }
+
+  /**
+   * Returns the tenant's migration lock collection.
+   */
+  #locks(database) {
+    return this.#nativeDb(database).collection(`${this.#collectionName}_lock`);
+  }
+
+  /**
+   * Returns the native driver Db of a connected tenant database.
+   */
+  #nativeDb(database) {
+    const db = database.connection?.db;
+    if (!db) {
+      throw new Error("Database is not connected.");
+    }
+    return db;
+  }
+
+  /**
+   * Loads migration files from the configured directory.
+   */
+  #loadDirectory() {
+    const directory = path.resolve(this.#directory);
+
+    return fs
+      .readdirSync(directory)
+      .filter(file => /^\d+[-_].+\.c?js$/.test(file))
+      .map(file => {
+        const [, version, name] = /^(\d+)[-_](.+)\.c?js$/.exec(file);
+        const migration = require(path.join(directory, file));
+
+        return {
+          version: Number(version),
+          name,
+          up: migration.up,
+          down: migration.down,
+        };
+      });
+  }
+}
+
+module.exports = MongoMigrator;
@@ -2,7 +2,50 @@
 
 "use strict";
 
+const { setTimeout: sleep } = require("timers/promises");
 const { BaseModel } = require("zyx-base");
+const mongoose = require("mongoose");
+const { MongoNetworkError, MongoServerSelectionError } = require("mongodb");
+const {
+  isBulkWriteError,
+  summarizeBulkWrite,
+  withRejectedOperations,
+} = require("./bulkResult");
+const { READ_CONCERNS, READ_PREFERENCES } = require("./databaseConfig");
+const MongoConflictError = require("./mongoConflictError");
+const { diffDocuments, historySchema, snapshot } = require("./mongoHistory");
+const MongoValidationError = require("./mongoValidationError");
+const { loadResumeToken, saveResumeToken } = require("./resumeTokens");
+const {
+  decodeCursor,
+  encodeCursor,
+  keysetFilter,
+  keysetOrder,
+  keysetSort,
+} = require("./pagination");
+
+/**
+ * Delay before `watch()` reopens a change stream after losing the cluster.
+ */
+const WATCH_RETRY_MS = 3000;
+
+/**
+ * How often a history-tracked update is retried when another write changes
+ * the document between reading it and updating it.
+ */
+const HISTORY_UPDATE_ATTEMPTS = 10;
+
+/**
+ * Per-call options handled by MongooseModel itself, never passed to mongoose.
+ */
+const MODEL_OPTIONS = [
+  "actor",
+  "key",
+  "readConcern",
+  "readPreference",
+  "version",
+  "withDeleted",
+];
 
 /**
  * Abstract base class for tenant-scoped Mongoose models.
@@ -11,6 +54,33 @@ const { BaseModel } = require("zyx-base");
  * Subclasses must override the `schema()` method to define the model structure.
  *
  * Automatically registers and retrieves the Mongoose model using the tenant's database service.
+ * Every method joins the tenant's active `withTransaction()` session automatically.
+ * Other per-call options, e.g. `lean`, `sort`, `limit` or `collation`, are
+ * passed on to mongoose.
+ *
+ * Models can opt in to soft delete by overriding the `softDelete` getter:
+ * `deleteById()` then only marks documents with `deletedAt`/`deletedBy`, and
+ * reads skip marked documents unless called with `{ withDeleted: true }`.
+ *
+ * Overriding the `trackHistory` getter records every `create()`,
+ * `updateById()`, `deleteById()` and `restoreById()` in a `<model>_history`
+ * collection; bulk operations are not recorded. Inside a transaction the
+ * entry commits or rolls back with the change. Otherwise the change is
+ * already stored when its entry is written, so a failed history write is
+ * reported on the console instead of failing the call.
+ *
+ * Reads use the connection's read preference and read concern unless the
+ * model overrides the `readPreference`/`readConcern` getters or a call passes
+ * them as options, e.g. `{ readPreference: "secondaryPreferred" }` for
+ * reporting. Write methods throw when the tenant database is read-only.
+ *
+ * Subclasses can override the `beforeCreate()`/`afterCreate()`,
+ * `beforeUpdate()`/`afterUpdate()` and `beforeDelete()`/`afterDelete()` hooks
+ * of the single-document writes, and return a zyx-schema from
+ * `validationSchema()` to validate data before it is written.
+ *
+ * `watch()` streams changes to the model's documents, optionally resuming
+ * where a previous run stopped, until the tenant database disconnects.
  *
  * @abstract
  * @class
@@ -24,6 +94,20 @@ class MongooseModel extends BaseModel {
    */
   #underlyingModel;
 
+  /**
+   * The compiled history model, when `trackHistory` is enabled.
+   * @type {import("mongoose").Model|undefined}
+   * @private
+   */
+  #historyModel;
+
+  /**
+   * The zyx-schema returned by `validationSchema()`, if any.
+   * @type {object|null}
+   * @private
+   */
+  #validationSchema;
+
   /**
    * Constructs a new tenant-scoped Mongoose model instance.
    *
@@ -42,6 +126,13 @@ class MongooseModel extends BaseModel {
       );
     }
 
+    if (this.softDelete && !schema.path("deletedAt")) {
+      schema.add({
+        deletedAt: { type: Date, default: null, index: true },
+        deletedBy: { type: mongoose.Schema.Types.Mixed, default: null },
+      });
+    }
+
     const db = this.db;
     const modelName = this.name;
 
@@ -51,6 +142,25 @@ class MongooseModel extends BaseModel {
     }
 
     this.#underlyingModel = db.getModel(modelName);
+
+    if (this.trackHistory) {
+      const historyName = `${modelName}_history`;
+      if (!db.models[historyName]) {
+        db.registerModel(
+          historyName,
+          historySchema(historyName, schema.path("_id")?.options?.type)
+        );
+      }
+      this.#historyModel = db.getModel(historyName);
+    }
+
+    this.#validationSchema = this.validationSchema() ?? null;
+    if (this.#validationSchema && !this.#validationSchema.validate) {
+      throw new Error(
+        `Invalid validationSchema() in "${this.constructor.name}": ` +
+          `expected a zyx-schema Schema.`
+      );
+    }
   }
 
   /**
@@ -66,6 +176,63 @@ class MongooseModel extends BaseModel {
     );
   }
 
+  /**
+   * Subclasses override this to validate data with a zyx-schema before
+   * `create()` and `updateById()` write it, sharing input rules with the rest
+   * of the zyx stack. Validation runs after the `before*` hooks. Updates are
+   * validated as the stored document with the update's top-level `$set`
+   * (or plain) and `$unset` fields applied; other operators and dotted paths
+   * are not checked. Bulk methods validate the documents they insert or
+   * replace and those given to `upsert()`, reporting invalid ones in their
+   * summary, but not `updateMany()` or bulk update operations, as that would
+   * mean reading every matched document.
+   *
+   * @returns {object|null} A zyx-schema Schema, or null to skip validation.
+   */
+  validationSchema() {
+    return null;
+  }
+
+  /**
+   * Subclasses override this to keep deleted documents for audits.
+   *
+   * @returns {boolean} True to soft delete documents instead of removing them.
+   */
+  get softDelete() {
+    return false;
+  }
+
+  /**
+   * Subclasses override this to record a change history of their documents.
+   *
+   * @returns {boolean} True to write history entries on every single-document write.
+   */
+  get trackHistory() {
+    return false;
+  }
+
+  /**
+   * Subclasses override this to read from other replica set members, e.g.
+   * "secondaryPreferred". Calls can still pass their own `readPreference`.
+   *
+   * @returns {string|undefined} A read preference mode, or undefined for the
+   *   connection's default.
+   */
+  get readPreference() {
+    return undefined;
+  }
+
+  /**
+   * Subclasses override this to change the read concern of their reads, e.g.
+   * "majority". Calls can still pass their own `readConcern`.
+   *
+   * @returns {string|undefined} A read concern level, or undefined for the
+   *   connection's default.
+   */
+  get readConcern() {
+    return undefined;
+  }
+
   /**
    * Returns the underlying Mongoose model instance.
    *
@@ -80,64 +247,1201 @@ class MongooseModel extends BaseModel {
    *
    * @param {object} [query={}] - MongoDB query object.
    * @param {object} [projection={}] - Fields to include or exclude.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`,
+   *   `readPreference`, `readConcern` or `withDeleted` to include
+   *   soft-deleted documents.
    * @returns {Promise<Array<object>>} Array of matching documents.
    */
-  async find(query = {}, projection = {}) {
-    return this.#underlyingModel.find(query, projection).exec();
+  async find(query = {}, projection = {}, options = {}) {
+    return this.#underlyingModel
+      .find(this.#scope(query, options), projection, this.#readOptions(options))
+      .exec();
   }
 
   /**
    * Finds a single document matching the specified query.
    *
    * @param {object} [query={}] - MongoDB query object.
+   * @param {object} [projection={}] - Fields to include or exclude.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`,
+   *   `readPreference`, `readConcern` or `withDeleted` to include
+   *   soft-deleted documents.
    * @returns {Promise<object|null>} The first matching document, or null.
    */
-  async findOne(query = {}) {
-    return this.#underlyingModel.findOne(query).exec();
+  async findOne(query = {}, projection = {}, options = {}) {
+    return this.#underlyingModel
+      .findOne(
+        this.#scope(query, options),
+        projection,
+        this.#readOptions(options)
+      )
+      .exec();
   }
 
   /**
    * Finds a document by its unique MongoDB ObjectId.
    *
    * @param {string} id - Document ID to search for.
+   * @param {object} [projection={}] - Fields to include or exclude.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`,
+   *   `readPreference`, `readConcern` or `withDeleted` to include
+   *   soft-deleted documents.
    * @returns {Promise<object|null>} The document if found, otherwise null.
    */
-  async findById(id) {
-    return this.#underlyingModel.findById(id).exec();
+  async findById(id, projection = {}, options = {}) {
+    return this.#underlyingModel
+      .findOne(
+        this.#scope({ _id: id }, options),
+        projection,
+        this.#readOptions(options)
+      )
+      .exec();
+  }
+
+  /**
+   * Returns one page of documents matching the query, plus the total count.
+   *
+   * Pass the previous page's `nextCursor` as `cursor` for keyset pagination,
+   * or use `offset` for offset pagination. `nextCursor` is only returned when
+   * more documents follow and the sort uses a single (indexed) field, with
+   * `_id` as tie-breaker. Projections must keep the sort field.
+   *
+   * @param {object} [query={}] - MongoDB query object.
+   * @param {object} [options={}]
+   * @param {object} [options.projection={}] - Fields to include or exclude.
+   * @param {object} [options.sort={ _id: 1 }] - Sort order.
+   * @param {number} [options.limit=20] - Maximum number of items per page.
+   * @param {number} [options.offset=0] - Number of documents to skip.
+   * @param {string} [options.cursor] - Cursor returned by a previous page.
+   * @param {boolean} [options.withDeleted=false] - Include soft-deleted documents.
+   * @param {string} [options.readPreference] - Overrides the model's read preference.
+   * @param {string} [options.readConcern] - Overrides the model's read concern.
+   * @returns {Promise<{ items: Array<object>, total: number, nextCursor: string|null }>}
+   * @throws {Error} If the limit, offset or cursor are invalid.
+   */
+  async paginate(query = {}, options = {}) {
+    const {
+      projection = {},
+      sort = { _id: 1 },
+      limit = 20,
+      offset = 0,
+      cursor,
+      ...queryOptions
+    } = options;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error("paginate() limit must be a positive integer.");
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error("paginate() offset must be a non-negative integer.");
+    }
+    if (cursor && offset > 0) {
+      throw new Error("paginate() accepts a cursor or an offset, not both.");
+    }
+
+    const keyset = keysetSort(sort);
+    if (cursor && !keyset) {
+      throw new Error("Cursor pagination requires a sort on a single field.");
+    }
+
+    const scoped = this.#scope(query, queryOptions);
+    const filter = cursor
+      ? {
+          $and: [
+            scoped,
+            keysetFilter(keyset, decodeCursor(cursor, keyset.field)),
+          ],
+        }
+      : scoped;
+
+    // Sequential on purpose: a transaction session cannot run operations in parallel
+    const documents = await this.#underlyingModel
+      .find(filter, projection, this.#readOptions(queryOptions))
+      .sort(keyset ? keysetOrder(keyset) : sort)
+      .skip(offset)
+      .limit(limit + 1)
+      .exec();
+    const total = await this.count(query, queryOptions);
+
+    const hasMore = documents.length > limit;
+    const items = hasMore ? documents.slice(0, limit) : documents;
+
+    return {
+      items,
+      total,
+      nextCursor:
+        hasMore && keyset
+          ? encodeCursor(items[items.length - 1], keyset.field)
+          : null,
+    };
+  }
+
+  /**
+   * Counts the documents matching the specified query.
+   *
+   * @param {object} [query={}] - MongoDB query object.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`,
+   *   `readPreference`, `readConcern` or `withDeleted` to include
+   *   soft-deleted documents.
+   * @returns {Promise<number>}
+   */
+  async count(query = {}, options = {}) {
+    return this.#underlyingModel
+      .countDocuments(this.#scope(query, options), this.#readOptions(options))
+      .exec();
+  }
+
+  /**
+   * Checks whether at least one document matches the specified query.
+   *
+   * @param {object} [query={}] - MongoDB query object.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`,
+   *   `readPreference`, `readConcern` or `withDeleted` to include
+   *   soft-deleted documents.
+   * @returns {Promise<boolean>}
+   */
+  async exists(query = {}, options = {}) {
+    const found = await this.#underlyingModel
+      .exists(this.#scope(query, options))
+      .setOptions(this.#readOptions(options))
+      .exec();
+    return found !== null;
+  }
+
+  /**
+   * Returns the distinct values of a field among the matching documents.
+   *
+   * @param {string} field - Field (or dotted path) to collect values from.
+   * @param {object} [query={}] - MongoDB query object.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`,
+   *   `readPreference`, `readConcern` or `withDeleted` to include
+   *   soft-deleted documents.
+   * @returns {Promise<Array<*>>}
+   */
+  async distinct(field, query = {}, options = {}) {
+    return this.#underlyingModel
+      .distinct(field, this.#scope(query, options))
+      .setOptions(this.#readOptions(options))
+      .exec();
   }
 
   /**
    * Creates and saves a new document in the collection.
    *
    * @param {object} data - Document data to create.
+   * @param {object} [options={}] - Write options, e.g. an explicit `session`
+   *   or the `actor` recorded in the history.
    * @returns {Promise<object>} The created document.
+   * @throws {MongoValidationError} If the data fails `validationSchema()`.
    */
-  async create(data) {
-    return this.#underlyingModel.create(data);
+  async create(data, options = {}) {
+    this.#requireWritable("create");
+
+    const context = this.#hookContext(options);
+    const input = (await this.beforeCreate(data, context)) ?? data;
+    this.#validate(input);
+
+    const [document] = await this.#underlyingModel.create(
+      [input],
+      this.#queryOptions(options)
+    );
+    await this.#record("create", document._id, null, document, options);
+    await this.afterCreate(document, context);
+    return document;
   }
 
   /**
    * Updates an existing document by its ID.
    *
+   * Every update increments the document's version key (`__v` by default).
+   * Pass `options.version` to update only if nobody changed the document
+   * since it was read; a stale write throws a MongoConflictError.
+   *
    * @param {string} id - Document ID to update.
-   * @param {object} updates - Fields to update.
-   * @returns {Promise<object|null>} The updated document, or null if not found.
+   * @param {object} updates - Fields or update operators to apply.
+   * @param {object} [options={}] - Write options, e.g. an explicit `session`,
+   *   the expected `version` or the `actor` recorded in the history.
+   * @returns {Promise<object|null>} The updated document, or null if not found
+   *   (or soft-deleted).
+   * @throws {MongoConflictError} If the stored version differs from `options.version`.
+   * @throws {MongoValidationError} If the updated document would fail
+   *   `validationSchema()`.
    */
-  async updateById(id, updates) {
-    return this.#underlyingModel
-      .findByIdAndUpdate(id, updates, { new: true })
-      .exec();
+  async updateById(id, updates, options = {}) {
+    this.#requireWritable("updateById");
+
+    const context = this.#hookContext(options);
+    const changes = (await this.beforeUpdate(id, updates, context)) ?? updates;
+    await this.#validateUpdate(id, changes, options);
+
+    const document = await this.#updateById(id, changes, options);
+    if (document) {
+      await this.afterUpdate(document, context);
+    }
+    return document;
   }
 
   /**
-   * Deletes a document by its ID.
+   * Deletes a document by its ID. Soft-delete models mark the document
+   * instead of removing it.
    *
    * @param {string} id - Document ID to delete.
+   * @param {object} [options={}] - Write options, e.g. an explicit `session`
+   *   or the `actor` recorded in `deletedBy` and in the history.
    * @returns {Promise<object|null>} The deleted document, or null if not found.
    */
-  async deleteById(id) {
-    return this.#underlyingModel.findByIdAndDelete(id).exec();
+  async deleteById(id, options = {}) {
+    this.#requireWritable("deleteById");
+
+    const context = this.#hookContext(options);
+    await this.beforeDelete(id, context);
+
+    const document = await this.#deleteById(id, options);
+    if (document) {
+      await this.afterDelete(document, context);
+    }
+    return document;
+  }
+
+  // ─── Lifecycle Hooks ─────────────────────────────────────────────────────────
+
+  // Hooks receive a context of { tenant, actor, session }: the tenant object,
+  // the `actor` option of the call (or null) and the active session, if any.
+  // Throwing from a before* hook aborts the write. Bulk methods and
+  // restoreById() run no hooks.
+
+  /**
+   * Called before `create()` validates and inserts a document.
+   *
+   * @param {object} data - Data passed to `create()`.
+   * @param {object} context - `{ tenant, actor, session }`.
+   * @returns {Promise<object|undefined>} Data to insert instead, or undefined
+   *   to insert `data` as is.
+   */
+  async beforeCreate(data, context) {}
+
+  /**
+   * Called after `create()` inserted a document.
+   *
+   * @param {object} document - The created document.
+   * @param {object} context - `{ tenant, actor, session }`.
+   * @returns {Promise<void>}
+   */
+  async afterCreate(document, context) {}
+
+  /**
+   * Called before `updateById()` validates and applies an update.
+   *
+   * @param {string} id - Document ID to update.
+   * @param {object} updates - Updates passed to `updateById()`.
+   * @param {object} context - `{ tenant, actor, session }`.
+   * @returns {Promise<object|undefined>} Updates to apply instead, or
+   *   undefined to apply `updates` as is.
+   */
+  async beforeUpdate(id, updates, context) {}
+
+  /**
+   * Called after `updateById()` updated a document; not called when no
+   * document matched.
+   *
+   * @param {object} document - The updated document.
+   * @param {object} context - `{ tenant, actor, session }`.
+   * @returns {Promise<void>}
+   */
+  async afterUpdate(document, context) {}
+
+  /**
+   * Called before `deleteById()` deletes (or soft-deletes) a document.
+   *
+   * @param {string} id - Document ID to delete.
+   * @param {object} context - `{ tenant, actor, session }`.
+   * @returns {Promise<void>}
+   */
+  async beforeDelete(id, context) {}
+
+  /**
+   * Called after `deleteById()` deleted (or soft-deleted) a document; not
+   * called when no document matched.
+   *
+   * @param {object} document - The deleted document.
+   * @param {object} context - `{ tenant, actor, session }`.
+   * @returns {Promise<void>}
+   */
+  async afterDelete(document, context) {}
+
+  // ─── Soft Delete ─────────────────────────────────────────────────────────────
+
+  /**
+   * Restores a soft-deleted document.
+   *
+   * @param {string} id - Document ID to restore.
+   * @param {object} [options={}] - Write options, e.g. an explicit `session`
+   *   or the `actor` recorded in the history.
+   * @returns {Promise<object|null>} The restored document, or null if no
+   *   deleted document has this ID.
+   * @throws {Error} If the model does not use soft delete.
+   */
+  async restoreById(id, options = {}) {
+    this.#requireSoftDelete("restoreById");
+    this.#requireWritable("restoreById");
+
+    const { before, after } = await this.#findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } },
+      options
+    );
+    await this.#record("restore", id, before, after, options);
+    return after;
+  }
+
+  /**
+   * Finds documents matching the query, including soft-deleted ones.
+   *
+   * @param {object} [query={}] - MongoDB query object.
+   * @param {object} [projection={}] - Fields to include or exclude.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`.
+   * @returns {Promise<Array<object>>} Array of matching documents.
+   */
+  async findWithDeleted(query = {}, projection = {}, options = {}) {
+    return this.find(query, projection, { ...options, withDeleted: true });
+  }
+
+  /**
+   * Permanently removes documents soft-deleted before the given date.
+   *
+   * @param {Date} olderThan - Purge documents deleted before this date.
+   * @param {object} [options={}] - Write options, e.g. an explicit `session`.
+   * @returns {Promise<number>} Number of purged documents.
+   * @throws {Error} If the model does not use soft delete.
+   */
+  async purgeDeleted(olderThan, options = {}) {
+    this.#requireWritable("purgeDeleted");
+
+    this.#requireSoftDelete("purgeDeleted");
+
+    const result = await this.#underlyingModel
+      .deleteMany(
+        { deletedAt: { $ne: null, $lt: new Date(olderThan) } },
+        this.#queryOptions(options)
+      )
+      .exec();
+    return result.deletedCount;
+  }
+
+  // ─── Change History ──────────────────────────────────────────────────────────
+
+  /**
+   * Returns the change timeline of a document, oldest entry first.
+   *
+   * @param {string} id - Document ID.
+   * @param {object} [options={}] - Query options, e.g. an explicit `session`.
+   * @returns {Promise<Array<object>>} History entries with `action`, `actor`,
+   *   `before`, `after`, `diff` and `createdAt`.
+   * @throws {Error} If the model does not track history.
+   */
+  async history(id, options = {}) {
+    if (!this.#historyModel) {
+      throw new Error(
+        `history() requires trackHistory, which "${this.constructor.name}" does not enable.`
+      );
+    }
+
+    return this.#historyModel
+      .find({ documentId: id }, null, this.#queryOptions(options))
+      .sort({ createdAt: 1, _id: 1 })
+      .exec();
+  }
+
+  // ─── Bulk Operations ─────────────────────────────────────────────────────────
+
+  /**
+   * Inserts many documents in one round trip.
+   *
+   * @param {Array<object>} documents - Documents to insert.
+   * @param {object} [options={}] - `ordered` (default true) and an explicit `session`.
+   * @returns {Promise<object>} Result summary, see `bulkWrite()`.
+   */
+  async createMany(documents, options = {}) {
+    this.#requireWritable("createMany");
+
+    return this.bulkWrite(
+      documents.map(document => ({ insertOne: { document } })),
+      options
+    );
+  }
+
+  /**
+   * Updates every document matching the filter.
+   *
+   * @param {object} filter - MongoDB query object.
+   * @param {object} updates - Fields or update operators to apply.
+   * @param {object} [options={}] - Write options, e.g. an explicit `session`.
+   * @returns {Promise<object>} Result summary, see `bulkWrite()`.
+   */
+  async updateMany(filter, updates, options = {}) {
+    this.#requireWritable("updateMany");
+
+    return this.bulkWrite(
+      [{ updateMany: { filter: this.#scope(filter), update: updates } }],
+      options
+    );
+  }
+
+  /**
+   * Deletes every document matching the filter. Soft-delete models mark the
+   * documents instead, which the summary reports as `modifiedCount`.
+   *
+   * @param {object} filter - MongoDB query object.
+   * @param {object} [options={}] - Write options, e.g. an explicit `session`
+   *   or the `actor` recorded in `deletedBy`.
+   * @returns {Promise<object>} Result summary, see `bulkWrite()`.
+   */
+  async deleteMany(filter, options = {}) {
+    this.#requireWritable("deleteMany");
+
+    if (this.softDelete) {
+      return this.bulkWrite(
+        [
+          {
+            updateMany: {
+              filter: this.#scope(filter),
+              update: this.#deletion(options),
+            },
+          },
+        ],
+        options
+      );
+    }
+
+    return this.bulkWrite([{ deleteMany: { filter } }], options);
+  }
+
+  /**
+   * Inserts or updates many documents, matching existing ones on `options.key`.
+   * Documents missing a key field cannot match one and are inserted as new.
+   *
+   * @param {Array<object>} documents - Documents to insert or update.
+   * @param {object} [options={}]
+   * @param {string|Array<string>} [options.key="_id"] - Field(s) identifying a document.
+   * @param {boolean} [options.ordered=true] - Stop at the first failing document.
+   * @returns {Promise<object>} Result summary, see `bulkWrite()`.
+   */
+  async upsert(documents, options = {}) {
+    this.#requireWritable("upsert");
+
+    const keys = [].concat(options.key ?? "_id");
+
+    const operations = documents.map(document => {
+      // An undefined key would be sent as null and match unrelated documents
+      if (keys.some(key => document[key] === undefined)) {
+        return { insertOne: { document } };
+      }
+
+      const filter = {};
+      const fields = { ...document };
+
+      for (const key of keys) {
+        filter[key] = document[key];
+        delete fields[key];
+      }
+
+      return {
+        updateOne: { filter, update: { $set: fields }, upsert: true },
+      };
+    });
+
+    // Validate whole documents, as updateOne operations only carry a $set
+    return this.#bulkWrite(operations, options, documents);
+  }
+
+  /**
+   * Runs mixed insert/update/replace/delete operations in one round trip.
+   * Partial failures are reported in the summary instead of being thrown,
+   * including inserted or replacing documents failing `validationSchema()`,
+   * which are not sent: an ordered write stops before the first of them.
+   *
+   * @param {Array<object>} operations - Mongoose `bulkWrite()` operations.
+   * @param {object} [options={}]
+   * @param {boolean} [options.ordered=true] - Stop at the first failing operation.
+   * @returns {Promise<{
+   *   ok: boolean,
+   *   insertedCount: number,
+   *   matchedCount: number,
+   *   modifiedCount: number,
+   *   deletedCount: number,
+   *   upsertedCount: number,
+   *   insertedIds: object,
+   *   upsertedIds: object,
+   *   errors: Array<{ index: number|null, code: number|null, message: string }>
+   * }>} Counts, ids keyed by operation index, and per-operation errors.
+   */
+  async bulkWrite(operations, options = {}) {
+    this.#requireWritable("bulkWrite");
+
+    return this.#bulkWrite(
+      operations,
+      options,
+      operations.map(
+        operation =>
+          operation.insertOne?.document ?? operation.replaceOne?.replacement
+      )
+    );
+  }
+
+  // ─── Change Streams ──────────────────────────────────────────────────────────
+
+  /**
+   * Streams inserts, updates, replaces and deletes of this model's documents
+   * as change events, e.g. for cache invalidation or websocket push.
+   *
+   * Pass `resumeKey` to persist the position of the stream in the
+   * `change_stream_tokens` collection: a later `watch()` with the same key,
+   * e.g. after a restart, continues after the last event the consumer
+   * finished processing. Events are delivered at least once, so consumers
+   * should be idempotent. Lost connections are retried every few seconds.
+   *
+   * The stream ends when `signal` aborts, the loop is left, or the tenant
+   * database disconnects.
+   *
+   * @example
+   * for await (const change of users.watch({ resumeKey: "cache" })) {
+   *   cache.delete(String(change.documentKey._id));
+   * }
+   *
+   * @param {object} [options={}]
+   * @param {object} [options.filter={}] - `$match` on the change events, e.g.
+   *   `{ operationType: "delete" }` or `{ "fullDocument.status": "active" }`.
+   * @param {string} [options.fullDocument="updateLookup"] - Driver
+   *   `fullDocument` mode: "default", "updateLookup", "whenAvailable" or
+   *   "required".
+   * @param {string} [options.resumeKey] - Name under which the stream's
+   *   position is persisted; unique per model.
+   * @param {AbortSignal} [options.signal] - Stops the stream.
+   * @yields {object} Change events as sent by MongoDB.
+   * @throws {Error} If the database is not connected, or read-only and a
+   *   `resumeKey` is given.
+   */
+  async *watch(options = {}) {
+    const {
+      filter = {},
+      fullDocument = "updateLookup",
+      resumeKey,
+      signal,
+    } = options;
+
+    const db = this.db.connection?.db;
+    if (!db || !this.db.closeSignal) {
+      throw new Error(
+        `watch() requires a connected MongoDatabase for "${this.constructor.name}".`
+      );
+    }
+    if (resumeKey !== undefined) {
+      this.#requireWritable("watch");
+    }
+
+    const { signal: closed, dispose } = combineSignals([
+      this.db.closeSignal,
+      signal,
+    ]);
+
+    try {
+      const key = resumeKey === undefined ? null : `${this.name}:${resumeKey}`;
+      const collection = db.collection(
+        this.#underlyingModel.collection.collectionName
+      );
+      let token = key ? await loadResumeToken(db, key) : undefined;
+
+      while (!closed.aborted) {
+        // startAfter, unlike resumeAfter, also accepts an "invalidate" event's token
+        const stream = collection.watch([{ $match: filter }], {
+          fullDocument,
+          ...(token ? { startAfter: token } : {}),
+        });
+        const close = () => stream.close().catch(() => {});
+        closed.addEventListener("abort", close, { once: true });
+
+        try {
+          for await (const change of stream) {
+            yield change;
+
+            // Only reached once the consumer asks for the next event
+            token = change._id;
+            if (key) await saveResumeToken(db, key, token);
+          }
+        } catch (err) {
+          if (closed.aborted) break;
+          if (!isTransientError(err)) throw err;
+        } finally {
+          closed.removeEventListener("abort", close);
+          await close();
+        }
+
+        await sleep(WATCH_RETRY_MS, undefined, { signal: closed }).catch(
+          () => {}
+        );
+      }
+    } finally {
+      dispose();
+    }
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Applies `updateById()` once hooks and validation have run.
+   *
+   * @param {string} id - Document ID to update.
+   * @param {object} updates - Fields or update operators to apply.
+   * @param {object} options - Per-call options.
+   * @returns {Promise<object|null>}
+   */
+  async #updateById(id, updates, options) {
+    if (options.version === undefined) {
+      const { before, after } = await this.#findOneAndUpdate(
+        this.#scope({ _id: id }),
+        updates,
+        options
+      );
+      await this.#record("update", id, before, after, options);
+      return after;
+    }
+
+    const versionKey = this.#underlyingModel.schema.get("versionKey");
+    if (!versionKey) {
+      throw new Error(
+        `Optimistic locking requires a version key on "${this.constructor.name}".`
+      );
+    }
+
+    const { before, after } = await this.#findOneAndUpdate(
+      this.#scope({ _id: id, [versionKey]: options.version }),
+      updates,
+      options
+    );
+
+    if (after) {
+      await this.#record("update", id, before, after, options);
+      return after;
+    }
+
+    // From the primary: a lagging secondary could hide the conflicting write
+    const fromPrimary = { ...options, readPreference: "primary" };
+    const current = await this.findById(id, {}, fromPrimary);
+    if (current) {
+      throw new MongoConflictError(
+        `Document "${id}" of "${this.name}" was modified by someone else ` +
+          `(expected version ${options.version}, found ${current[versionKey]}).`,
+        { current, expectedVersion: options.version }
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Applies `deleteById()` once the `beforeDelete()` hook has run.
+   *
+   * @param {string} id - Document ID to delete.
+   * @param {object} options - Per-call options.
+   * @returns {Promise<object|null>}
+   */
+  async #deleteById(id, options) {
+    if (this.softDelete) {
+      const { before, after } = await this.#findOneAndUpdate(
+        this.#scope({ _id: id }),
+        this.#deletion(options),
+        options
+      );
+      await this.#record("delete", id, before, after, options);
+      return after;
+    }
+
+    const deleted = await this.#underlyingModel
+      .findByIdAndDelete(id, this.#queryOptions(options))
+      .exec();
+    await this.#record("delete", id, deleted, null, options);
+    return deleted;
   }
+
+  /**
+   * Builds the context passed to lifecycle hooks.
+   *
+   * @param {object} options - Per-call options.
+   * @returns {{ tenant: object, actor: *, session: object|undefined }}
+   */
+  #hookContext(options) {
+    return {
+      tenant: this.tenant,
+      actor: options.actor ?? null,
+      session: this.#queryOptions(options).session,
+    };
+  }
+
+  /**
+   * Validates data with the model's `validationSchema()`, if any.
+   *
+   * @param {object} data - Data about to be written.
+   * @throws {MongoValidationError} If the data is invalid.
+   */
+  #validate(data) {
+    const error = this.#validationError(data);
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the error `#validate()` would throw for data, or null.
+   *
+   * @param {object} data
+   * @returns {MongoValidationError|null}
+   */
+  #validationError(data) {
+    if (!this.#validationSchema) {
+      return null;
+    }
+
+    const { errors } = this.#validationSchema.validate(data);
+    if (errors.length === 0) {
+      return null;
+    }
+
+    return new MongoValidationError(
+      `Invalid "${this.name}" data: ${errors.map(e => e.message).join(", ")}`,
+      { errors, data }
+    );
+  }
+
+  /**
+   * Runs `bulkWrite()` operations, leaving out those whose document fails
+   * validation. Ordered writes stop before the first invalid operation.
+   *
+   * @param {Array<object>} operations - Mongoose `bulkWrite()` operations.
+   * @param {object} options - Options passed to `bulkWrite()`.
+   * @param {Array<object|undefined>} documents - Data to validate per operation.
+   * @returns {Promise<object>} Result summary, see `bulkWrite()`.
+   */
+  async #bulkWrite(operations, options, documents) {
+    const { ordered = true } = options;
+    const sent = [];
+    const sentIndexes = [];
+    const rejected = [];
+
+    for (let index = 0; index < operations.length; index++) {
+      const error = documents[index] && this.#validationError(documents[index]);
+      if (!error) {
+        sent.push(this.#versionedOperation(operations[index]));
+        sentIndexes.push(index);
+        continue;
+      }
+
+      rejected.push({ index, code: null, message: error.message });
+      if (ordered) {
+        break;
+      }
+    }
+
+    let summary;
+    if (sent.length === 0) {
+      summary = summarizeBulkWrite(0, {});
+    } else {
+      try {
+        const result = await this.#underlyingModel.bulkWrite(sent, {
+          ...this.#queryOptions(options),
+          ordered,
+        });
+        summary = summarizeBulkWrite(sent.length, result);
+      } catch (err) {
+        if (!isBulkWriteError(err)) {
+          throw err;
+        }
+        summary = summarizeBulkWrite(sent.length, null, err);
+      }
+    }
+
+    // An ordered write failing earlier never reaches the invalid operation
+    return withRejectedOperations(
+      summary,
+      sentIndexes,
+      ordered && !summary.ok ? [] : rejected
+    );
+  }
+
+  /**
+   * Validates the stored document with `updates` applied. Skipped when there
+   * is no validation schema or no such document, which `updateById()` then
+   * reports by returning null.
+   *
+   * @param {string} id - Document ID to update.
+   * @param {object} updates - Fields or update operators to apply.
+   * @param {object} options - Per-call options.
+   * @throws {MongoValidationError} If the updated document would be invalid.
+   */
+  async #validateUpdate(id, updates, options) {
+    if (!this.#validationSchema) {
+      return;
+    }
+
+    const fromPrimary = { ...options, readPreference: "primary" };
+    const current = await this.findById(id, {}, fromPrimary);
+    if (current) {
+      this.#validate(
+        withWrittenFields(current.toObject?.() ?? current, updates)
+      );
+    }
+  }
+
+  /**
+   * Updates one document and returns it as it was before and after the
+   * update. The "before" state is only fetched when history is tracked.
+   *
+   * The update is then restricted to the version that was read, and retried
+   * if another write got in between, so "before" and "after" always describe
+   * this update. Without a version key a concurrent write can still slip in.
+   *
+   * @param {object} filter - MongoDB query object.
+   * @param {object} changes - Update document.
+   * @param {object} options - Per-call options.
+   * @returns {Promise<{ before: object|null, after: object|null }>}
+   * @throws {Error} If the document kept changing concurrently.
+   */
+  async #findOneAndUpdate(filter, changes, options) {
+    const queryOptions = this.#queryOptions(options);
+    const update = this.#versioned(changes);
+    const updateOptions = { ...queryOptions, new: true };
+
+    if (!this.#historyModel) {
+      const after = await this.#underlyingModel
+        .findOneAndUpdate(filter, update, updateOptions)
+        .exec();
+      return { before: null, after };
+    }
+
+    const versionKey = this.#underlyingModel.schema.get("versionKey");
+    const readOptions = { ...queryOptions, readPreference: "primary" };
+
+    for (let attempt = 1; attempt <= HISTORY_UPDATE_ATTEMPTS; attempt++) {
+      const before = await this.#underlyingModel
+        .findOne(filter, null, readOptions)
+        .exec();
+      if (!before) {
+        return { before: null, after: null };
+      }
+
+      const unchanged = { _id: before._id };
+      if (versionKey) unchanged[versionKey] = before[versionKey];
+
+      const after = await this.#underlyingModel
+        .findOneAndUpdate({ $and: [filter, unchanged] }, update, updateOptions)
+        .exec();
+      if (after || !versionKey) {
+        return { before, after };
+      }
+    }
+
+    throw new Error(
+      `Document of "${this.name}" kept changing while being updated; giving up ` +
+        `after ${HISTORY_UPDATE_ATTEMPTS} attempts.`
+    );
+  }
+
+  /**
+   * Adds a version increment to an update when the schema has a version key,
+   * so that every write invalidates versions read before it. Aggregation
+   * pipeline updates are left alone.
+   *
+   * @param {object|Array<object>} update - Update document.
+   * @returns {object|Array<object>}
+   */
+  #versioned(update) {
+    const versionKey = this.#underlyingModel.schema.get("versionKey");
+    if (!versionKey || Array.isArray(update)) {
+      return update;
+    }
+
+    return incrementVersion(update, versionKey);
+  }
+
+  /**
+   * Versions the update of an `updateOne`/`updateMany` bulk operation.
+   *
+   * @param {object} operation - A `bulkWrite()` operation.
+   * @returns {object}
+   */
+  #versionedOperation(operation) {
+    const [type] = Object.keys(operation);
+    if (type !== "updateOne" && type !== "updateMany") {
+      return operation;
+    }
+
+    const { update } = operation[type];
+    return { [type]: { ...operation[type], update: this.#versioned(update) } };
+  }
+
+  /**
+   * Writes a history entry when history is tracked and a document changed.
+   * Failures only throw inside a transaction, where they undo the change.
+   *
+   * @param {string} action - "create", "update", "delete" or "restore".
+   * @param {*} documentId - ID of the changed document.
+   * @param {object|null} before - Document before the change.
+   * @param {object|null} after - Document after the change.
+   * @param {object} options - Per-call options.
+   */
+  async #record(action, documentId, before, after, options) {
+    if (!this.#historyModel || (!before && !after)) {
+      return;
+    }
+
+    const previous = snapshot(before);
+    const current = snapshot(after);
+    const queryOptions = this.#queryOptions(options);
+
+    try {
+      await this.#historyModel.create(
+        [
+          {
+            documentId,
+            modelName: this.name,
+            action,
+            actor: options.actor ?? null,
+            before: previous,
+            after: current,
+            diff: diffDocuments(previous, current),
+          },
+        ],
+        queryOptions
+      );
+    } catch (err) {
+      if (queryOptions.session) {
+        throw err;
+      }
+      console.error(
+        `Failed to record "${action}" of "${documentId}" in the history of "${this.name}":`,
+        err.message
+      );
+    }
+  }
+
+  /**
+   * Restricts a query to documents that are not soft-deleted, unless the
+   * model keeps no deleted documents, the caller asked for `withDeleted`, or
+   * the query already filters on `deletedAt`.
+   *
+   * @param {object} query - MongoDB query object.
+   * @param {object} [options={}] - Per-call options.
+   * @returns {object}
+   */
+  #scope(query, options = {}) {
+    if (!this.softDelete || options.withDeleted || "deletedAt" in query) {
+      return query;
+    }
+
+    return { ...query, deletedAt: null };
+  }
+
+  /**
+   * Builds the update that soft-deletes documents.
+   *
+   * @param {object} options - Per-call options.
+   * @returns {object}
+   */
+  #deletion(options) {
+    return {
+      $set: { deletedAt: new Date(), deletedBy: options.actor ?? null },
+    };
+  }
+
+  /**
+   * Throws unless the model uses soft delete.
+   *
+   * @param {string} method - Name of the calling method.
+   */
+  #requireSoftDelete(method) {
+    if (!this.softDelete) {
+      throw new Error(
+        `${method}() requires soft delete, which "${this.constructor.name}" does not enable.`
+      );
+    }
+  }
+
+  /**
+   * Throws if the tenant database is read-only.
+   *
+   * @param {string} method - Name of the calling method.
+   */
+  #requireWritable(method) {
+    if (this.db.readOnly) {
+      throw new Error(
+        `${method}() is not allowed: the database of "${this.constructor.name}" is read-only.`
+      );
+    }
+  }
+
+  /**
+   * Builds the mongoose options for a read: the call's options plus the read
+   * preference and read concern of the call or the model. Transactions keep
+   * their own, as they must read from the primary.
+   *
+   * @param {object} options - Per-call options.
+   * @returns {object}
+   * @throws {Error} If the read preference or read concern is unknown.
+   */
+  #readOptions(options) {
+    const queryOptions = this.#queryOptions(options);
+    if (queryOptions.session?.inTransaction()) {
+      return queryOptions;
+    }
+
+    const readPreference = options.readPreference ?? this.readPreference;
+    if (readPreference !== undefined) {
+      if (!READ_PREFERENCES.includes(readPreference)) {
+        throw new Error(
+          `Unknown read preference "${readPreference}" (expected one of: ${READ_PREFERENCES.join(
+            ", "
+          )}).`
+        );
+      }
+      queryOptions.readPreference = readPreference;
+    }
+
+    const readConcern = options.readConcern ?? this.readConcern;
+    if (readConcern !== undefined) {
+      if (!READ_CONCERNS.includes(readConcern)) {
+        throw new Error(
+          `Unknown read concern "${readConcern}" (expected one of: ${READ_CONCERNS.join(
+            ", "
+          )}).`
+        );
+      }
+      queryOptions.readConcern = { level: readConcern };
+    }
+
+    return queryOptions;
+  }
+
+  /**
+   * Builds the mongoose options for a call: the caller's options without
+   * those MongooseModel handles itself, with the explicit `session` option or
+   * else the session of the tenant's active `withTransaction()`.
+   *
+   * @param {object} options - Per-call options.
+   * @returns {object}
+   */
+  #queryOptions(options) {
+    const queryOptions = {};
+
+    for (const [name, value] of Object.entries(options)) {
+      if (value !== undefined && !MODEL_OPTIONS.includes(name)) {
+        queryOptions[name] = value;
+      }
+    }
+
+    const session = options.session ?? this.db.session;
+    if (session) {
+      queryOptions.session = session;
+    }
+
+    return queryOptions;
+  }
+}
+
+/**
+ * Returns a copy of `document` with the top-level fields an update sets or
+ * unsets applied. Other operators, dotted paths and pipeline updates are left
+ * out, as their outcome depends on the stored values.
+ *
+ * @param {object} document - The stored document.
+ * @param {object|Array<object>} updates - Fields or update operators.
+ * @returns {object}
+ */
+function withWrittenFields(document, updates) {
+  const result = { ...document };
+  if (Array.isArray(updates)) {
+    return result;
+  }
+
+  const usesOperators = Object.keys(updates).some(key => key.startsWith("$"));
+  const set = usesOperators ? updates.$set ?? {} : updates;
+  const unset = usesOperators ? updates.$unset ?? {} : {};
+
+  for (const [key, value] of Object.entries(set)) {
+    if (!key.includes(".")) {
+      result[key] = value;
+    }
+  }
+  for (const key of Object.keys(unset)) {
+    if (!key.includes(".")) {
+      delete result[key];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Combines abort signals into one that aborts as soon as any of them does.
+ * Like `AbortSignal.any()`, which older Node versions lack.
+ *
+ * @param {Array<AbortSignal|undefined>} signals - Missing signals are skipped.
+ * @returns {{ signal: AbortSignal, dispose: function(): void }} The combined
+ *   signal, and a function removing its listeners from the given signals.
+ */
+function combineSignals(signals) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const sources = signals.filter(Boolean);
+
+  for (const source of sources) {
+    if (source.aborted) {
+      abort();
+    } else {
+      source.addEventListener("abort", abort, { once: true });
+    }
+  }
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      for (const source of sources) source.removeEventListener("abort", abort);
+    },
+  };
+}
+
+/**
+ * Checks whether a change stream failed because the cluster was unreachable,
+ * as opposed to, e.g., an expired resume token or a standalone server.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isTransientError(err) {
+  return (
+    err instanceof MongoNetworkError ||
+    err instanceof MongoServerSelectionError ||
+    Boolean(err?.hasErrorLabel?.("ResumableChangeStreamError"))
+  );
+}
+
+/**
+ * Adds a version increment to an update, turning plain field updates into `$set`.
+ * The version key itself is never set by the caller.
+ *
+ * @param {object} updates - Fields or update operators.
+ * @param {string} versionKey - Name of the version field.
+ * @returns {object} Update document.
+ */
+function incrementVersion(updates, versionKey) {
+  const usesOperators = Object.keys(updates).some(key => key.startsWith("$"));
+  const update = usesOperators ? { ...updates } : { $set: { ...updates } };
+
+  if (update.$set) {
+    update.$set = { ...update.$set };
+    delete update.$set[versionKey];
+  }
+  update.$inc = { ...update.$inc, [versionKey]: 1 };
+
+  return update;
 }
 
 module.exports = MongooseModel;
@@ -0,0 +1,67 @@
+// mongoUri.js:
+
+"use strict";
+
+/**
+ * Splits a MongoDB connection URI into its cluster part and database name.
+ *
+ * Handles `mongodb+srv://` and multi-host URIs, and credentials containing
+ * unescaped `/` or `?` characters, which a plain split on `/` gets wrong.
+ *
+ * @param {string} uri - Full MongoDB connection URI.
+ * @returns {{
+ *   clusterUri: string,
+ *   dbName: string|null,
+ *   isSrv: boolean,
+ *   hasCredentials: boolean,
+ *   authSource: string|null,
+ *   authMechanism: string|null
+ * }} The URI without its database path, the database name (or null when
+ *   the URI names none), whether it is a `mongodb+srv://` URI, whether
+ *   credentials are present and the explicit `authSource` and
+ *   `authMechanism` options, if any.
+ * @throws {Error} If the URI does not use a MongoDB scheme.
+ */
+function parseMongoUri(uri) {
+  const match = /^(mongodb(?:\+srv)?:\/\/)(.+)$/i.exec(
+    String(uri ?? "").trim()
+  );
+  if (!match) {
+    throw new Error(
+      "Invalid MongoDB connection URI (expected mongodb:// or mongodb+srv://)."
+    );
+  }
+
+  const [, scheme, rest] = match;
+
+  // Hosts never contain "@", so everything before the last one is credentials
+  const at = rest.lastIndexOf("@");
+  const slash = rest.indexOf("/", at + 1);
+  const question = rest.indexOf("?", at + 1);
+
+  let hostsEnd = rest.length;
+  if (slash >= 0 && (question < 0 || slash < question)) {
+    hostsEnd = slash;
+  } else if (question >= 0) {
+    hostsEnd = question;
+  }
+
+  const authority = rest.slice(0, hostsEnd);
+  const tail = rest.slice(hostsEnd).replace(/^\//, "");
+  const queryStart = tail.indexOf("?");
+  const path = queryStart >= 0 ? tail.slice(0, queryStart) : tail;
+  const query = queryStart >= 0 ? tail.slice(queryStart + 1) : "";
+
+  const params = new URLSearchParams(query);
+
+  return {
+    clusterUri: `${scheme}${authority}/${query ? `?${query}` : ""}`,
+    dbName: path ? decodeURIComponent(path) : null,
+    isSrv: /\+srv/i.test(scheme),
+    hasCredentials: at >= 0,
+    authSource: params.get("authSource"),
+    authMechanism: params.get("authMechanism"),
+  };
+}
+
+module.exports = { parseMongoUri };
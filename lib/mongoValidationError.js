@@ -0,0 +1,29 @@
+// mongoValidationError.js:
+
+"use strict";
+
+/**
+ * Thrown by MongoModel write methods when data fails the model's
+ * `validationSchema()`, before anything is written.
+ *
+ * @extends Error
+ */
+class MongoValidationError extends Error {
+  /**
+   * Constructs a MongoValidationError.
+   *
+   * @param {string} message - Error description.
+   * @param {object} details
+   * @param {Array<object>} details.errors - Errors reported by zyx-schema,
+   *   each with a `message`.
+   * @param {object} details.data - The data that failed validation.
+   */
+  constructor(message, { errors, data }) {
+    super(message);
+    this.name = "MongoValidationError";
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+module.exports = MongoValidationError;
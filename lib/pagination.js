@@ -0,0 +1,123 @@
+// pagination.js:
+
+"use strict";
+
+// load all necessary modules
+const { BSON } = require("mongodb");
+
+const { EJSON } = BSON;
+
+/**
+ * Normalizes a single-field sort for keyset pagination.
+ *
+ * @param {object} sort - Mongoose sort object, e.g. `{ createdAt: -1 }`.
+ * @returns {{ field: string, direction: 1|-1 }|null} The sort key, or null
+ *   when the sort does not use exactly one field (besides `_id`).
+ */
+function keysetSort(sort) {
+  const fields = Object.keys(sort).filter(
+    (field, index, all) => field !== "_id" || all.length === 1
+  );
+  if (fields.length !== 1) {
+    return null;
+  }
+
+  const [field] = fields;
+  const value = String(sort[field]).toLowerCase();
+  const direction = ["-1", "desc", "descending"].includes(value) ? -1 : 1;
+
+  return { field, direction };
+}
+
+/**
+ * Returns the full sort for a keyset page, with `_id` as tie-breaker.
+ *
+ * @param {{ field: string, direction: 1|-1 }} keyset
+ * @returns {object}
+ */
+function keysetOrder({ field, direction }) {
+  return field === "_id"
+    ? { _id: direction }
+    : { [field]: direction, _id: direction };
+}
+
+/**
+ * Builds the filter selecting documents after the cursor position.
+ *
+ * @param {{ field: string, direction: 1|-1 }} keyset
+ * @param {{ value: *, id: * }} position - Decoded cursor.
+ * @returns {object}
+ */
+function keysetFilter({ field, direction }, { value, id }) {
+  const op = direction === 1 ? "$gt" : "$lt";
+
+  if (field === "_id") {
+    return { _id: { [op]: id } };
+  }
+
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  };
+}
+
+/**
+ * Encodes the position of `document` as an opaque cursor string.
+ *
+ * @param {object} document - Last document of a page.
+ * @param {string} field - Sort field.
+ * @returns {string}
+ */
+function encodeCursor(document, field) {
+  const payload = {
+    f: field,
+    v: valueAt(document, field),
+    id: valueAt(document, "_id"),
+  };
+  return Buffer.from(EJSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decodes a cursor created by `encodeCursor()`.
+ *
+ * @param {string} cursor
+ * @param {string} field - Sort field the cursor must belong to.
+ * @returns {{ value: *, id: * }}
+ * @throws {Error} If the cursor is malformed or was made for another sort.
+ */
+function decodeCursor(cursor, field) {
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid pagination cursor.");
+  }
+
+  if (!payload || payload.f !== field) {
+    throw new Error(`Pagination cursor does not match sort field "${field}".`);
+  }
+
+  return { value: payload.v, id: payload.id };
+}
+
+/**
+ * Reads a (possibly dotted) path from a mongoose document or plain object.
+ *
+ * @param {object} document
+ * @param {string} path
+ * @returns {*}
+ */
+function valueAt(document, path) {
+  if (typeof document?.get === "function") {
+    return document.get(path);
+  }
+
+  return path.split(".").reduce((value, key) => value?.[key], document);
+}
+
+module.exports = {
+  decodeCursor,
+  encodeCursor,
+  keysetFilter,
+  keysetOrder,
+  keysetSort,
+};
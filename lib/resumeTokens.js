@@ -0,0 +1,43 @@
+// resumeTokens.js:
+
+"use strict";
+
+/**
+ * Collection holding the last processed change stream token of every named
+ * `MongoModel.watch()` subscription, one document per subscription.
+ */
+const RESUME_TOKEN_COLLECTION = "change_stream_tokens";
+
+/**
+ * Reads the persisted resume token of a subscription.
+ *
+ * @param {import("mongodb").Db} db - Tenant database.
+ * @param {string} key - Subscription key, e.g. "user:cache".
+ * @returns {Promise<object|undefined>} The token, or undefined if none was saved.
+ */
+async function loadResumeToken(db, key) {
+  const entry = await db
+    .collection(RESUME_TOKEN_COLLECTION)
+    .findOne({ _id: key });
+  return entry?.token ?? undefined;
+}
+
+/**
+ * Persists the resume token of a subscription, replacing the previous one.
+ *
+ * @param {import("mongodb").Db} db - Tenant database.
+ * @param {string} key - Subscription key, e.g. "user:cache".
+ * @param {object} token - The `_id` of the last processed change event.
+ * @returns {Promise<void>}
+ */
+async function saveResumeToken(db, key, token) {
+  await db
+    .collection(RESUME_TOKEN_COLLECTION)
+    .updateOne(
+      { _id: key },
+      { $set: { token, updatedAt: new Date() } },
+      { upsert: true }
+    );
+}
+
+module.exports = { RESUME_TOKEN_COLLECTION, loadResumeToken, saveResumeToken };
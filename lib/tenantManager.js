@@ -0,0 +1,248 @@
+// tenantManager.js:
+
+"use strict";
+
+// load all necessary modules
+const MongoDatabase = require("./mongoDatabase");
+const MongoLog = require("./mongoLog");
+
+/**
+ * TenantManager owns the MongoDatabase and MongoLog of every tenant.
+ *
+ * Tenants are registered from their configs, each with a unique `id`, and
+ * connected lazily by the first `get()`. At most `maxConcurrentConnects`
+ * tenants connect at a time; further calls wait their turn. `shutdown()`
+ * disconnects everything, giving up on tenants that take too long.
+ *
+ * Each tenant is a plain object `{ id, config, db, log }`, which is also
+ * what MongoDatabase and MongoLog receive as their tenant.
+ */
+class TenantManager {
+  #tenants = new Map();
+  #createDatabase;
+  #createLog;
+  #maxConcurrentConnects;
+  #shutdownTimeoutMS;
+  #connecting = 0;
+  #waiting = [];
+  #closed = false;
+
+  /**
+   * Constructs a TenantManager.
+   *
+   * @param {object} [options={}]
+   * @param {Array<object>} [options.tenants=[]] - Tenant configs, each with an `id`.
+   * @param {function(object, object): MongoDatabase} [options.createDatabase] -
+   *   Creates a tenant's database from its config and tenant object; defaults
+   *   to a plain MongoDatabase.
+   * @param {function(object): MongoLog|null} [options.createLog] - Creates a
+   *   tenant's log; defaults to a MongoLog. Return null for no log.
+   * @param {number} [options.maxConcurrentConnects=4] - Tenants connecting at once.
+   * @param {number} [options.shutdownTimeoutMS=10000] - Default `shutdown()` timeout.
+   */
+  constructor(options = {}) {
+    this.#createDatabase =
+      options.createDatabase ??
+      ((config, tenant) => new MongoDatabase(config, tenant));
+    this.#createLog = options.createLog ?? (tenant => new MongoLog(tenant));
+    this.#maxConcurrentConnects = options.maxConcurrentConnects ?? 4;
+    this.#shutdownTimeoutMS = options.shutdownTimeoutMS ?? 10000;
+
+    for (const config of options.tenants ?? []) {
+      this.add(config);
+    }
+  }
+
+  /**
+   * Ids of all registered tenants.
+   * @returns {Array<string>}
+   */
+  get ids() {
+    return [...this.#tenants.keys()];
+  }
+
+  /**
+   * Checks whether a tenant is registered.
+   *
+   * @param {string} tenantId
+   * @returns {boolean}
+   */
+  has(tenantId) {
+    return this.#tenants.has(tenantId);
+  }
+
+  /**
+   * Registers a tenant without connecting it.
+   *
+   * @param {object} config - Tenant config with an `id` and its `db_*`/`log_*` keys.
+   * @returns {object} The tenant object.
+   * @throws {Error} If the id is missing or taken, the manager was shut down,
+   *   or the tenant's log config is invalid.
+   */
+  add(config) {
+    if (this.#closed) {
+      throw new Error("TenantManager has been shut down.");
+    }
+
+    const id = config?.id;
+    if (id === undefined || id === null || id === "") {
+      throw new Error("Tenant config requires an id.");
+    }
+    if (this.#tenants.has(id)) {
+      throw new Error(`Tenant "${id}" is already registered.`);
+    }
+
+    const tenant = { id, config };
+    tenant.db = this.#createDatabase(config, tenant);
+    tenant.log = this.#createLog(tenant) ?? null;
+
+    this.#tenants.set(id, { tenant, ready: null });
+    return tenant;
+  }
+
+  /**
+   * Returns a tenant with its database and log connected, connecting them on
+   * first use. A failed connect is retried by the next call.
+   *
+   * @param {string} tenantId
+   * @returns {Promise<object>} The tenant object `{ id, config, db, log }`.
+   * @throws {Error} If the tenant is unknown or cannot connect.
+   */
+  async get(tenantId) {
+    if (this.#closed) {
+      throw new Error("TenantManager has been shut down.");
+    }
+
+    const entry = this.#tenants.get(tenantId);
+    if (!entry) {
+      throw new Error(`Unknown tenant "${tenantId}".`);
+    }
+
+    if (!entry.ready) {
+      entry.ready = this.#limit(() => this.#connect(entry.tenant));
+      entry.ready.catch(() => {
+        entry.ready = null;
+      });
+    }
+
+    return entry.ready;
+  }
+
+  /**
+   * Unregisters a tenant and disconnects its log and database.
+   *
+   * @param {string} tenantId
+   * @returns {Promise<boolean>} False if the tenant was not registered.
+   */
+  async remove(tenantId) {
+    const entry = this.#tenants.get(tenantId);
+    if (!entry) {
+      return false;
+    }
+
+    this.#tenants.delete(tenantId);
+    await this.#close(entry);
+    return true;
+  }
+
+  /**
+   * Disconnects every tenant's log and database. Tenants still disconnecting
+   * after `timeoutMS` are reported as failed and left behind.
+   *
+   * @param {object} [options={}]
+   * @param {number} [options.timeoutMS] - Defaults to `shutdownTimeoutMS`.
+   * @returns {Promise<Array<{ tenant: string, ok: boolean, error?: string }>>}
+   *   One result per tenant.
+   */
+  async shutdown(options = {}) {
+    const timeoutMS = options.timeoutMS ?? this.#shutdownTimeoutMS;
+    const entries = [...this.#tenants.values()];
+
+    this.#closed = true;
+    this.#tenants.clear();
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(resolve, timeoutMS);
+      timer.unref?.();
+    });
+
+    try {
+      return await Promise.all(
+        entries.map(async entry => {
+          const result = { tenant: entry.tenant.id, ok: false };
+
+          try {
+            const closed = this.#close(entry).then(() => true);
+            if (await Promise.race([closed, timedOut])) {
+              result.ok = true;
+            } else {
+              result.error = `Timed out after ${timeoutMS} ms.`;
+            }
+          } catch (err) {
+            result.error = err.message;
+          }
+
+          return result;
+        })
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Connects a tenant's database, then its log so the log can share the
+   * database's connection. Undoes a partial connect on failure.
+   */
+  async #connect(tenant) {
+    try {
+      await tenant.db.connect();
+      await tenant.log?.connect();
+      return tenant;
+    } catch (err) {
+      await this.#disconnect(tenant).catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * Waits for a pending connect to settle, then disconnects the tenant.
+   */
+  async #close(entry) {
+    await entry.ready?.catch(() => {});
+    await this.#disconnect(entry.tenant);
+  }
+
+  /**
+   * Disconnects the log first, so it can flush through the shared connection.
+   */
+  async #disconnect(tenant) {
+    try {
+      await tenant.log?.disconnect();
+    } finally {
+      await tenant.db.disconnect();
+    }
+  }
+
+  /**
+   * Runs `fn` once fewer than `maxConcurrentConnects` connects are running.
+   */
+  async #limit(fn) {
+    while (this.#connecting >= this.#maxConcurrentConnects) {
+      await new Promise(resolve => this.#waiting.push(resolve));
+    }
+
+    this.#connecting += 1;
+    try {
+      return await fn();
+    } finally {
+      this.#connecting -= 1;
+      this.#waiting.shift()?.();
+    }
+  }
+}
+
+module.exports = TenantManager;
@@ -0,0 +1,95 @@
+// bulkResult.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isBulkWriteError,
+  summarizeBulkWrite,
+  withRejectedOperations,
+} = require("../lib/bulkResult");
+
+describe("summarizeBulkWrite()", () => {
+  it("summarizes a successful result", () => {
+    const summary = summarizeBulkWrite(2, {
+      insertedCount: 1,
+      modifiedCount: 1,
+      matchedCount: 1,
+      insertedIds: { 0: "a" },
+    });
+
+    assert.equal(summary.ok, true);
+    assert.equal(summary.insertedCount, 1);
+    assert.equal(summary.modifiedCount, 1);
+    assert.equal(summary.deletedCount, 0);
+    assert.deepEqual(summary.insertedIds, { 0: "a" });
+    assert.deepEqual(summary.errors, []);
+  });
+
+  it("maps indexes past operations mongoose did not send", () => {
+    const invalid = new Error("name: Path `name` is required.");
+    const error = Object.assign(new Error("E11000 duplicate key"), {
+      writeErrors: [{ index: 1, code: 11000, errmsg: "E11000 duplicate key" }],
+      result: { insertedCount: 1, insertedIds: { 0: "b", 1: "c" } },
+      mongoose: {
+        validationErrors: [invalid],
+        results: [invalid, null, null],
+      },
+    });
+
+    const summary = summarizeBulkWrite(3, null, error);
+
+    assert.equal(summary.ok, false);
+    assert.deepEqual(summary.insertedIds, { 1: "b", 2: "c" });
+    assert.deepEqual(summary.errors, [
+      { index: 0, code: null, message: invalid.message },
+      { index: 2, code: 11000, message: "E11000 duplicate key" },
+    ]);
+  });
+
+  it("reports an error without write errors as a whole", () => {
+    const summary = summarizeBulkWrite(
+      1,
+      null,
+      Object.assign(new Error("timeout"), { code: 50 })
+    );
+    assert.deepEqual(summary.errors, [
+      { index: null, code: 50, message: "timeout" },
+    ]);
+  });
+});
+
+describe("isBulkWriteError()", () => {
+  it("recognizes errors carrying a partial result", () => {
+    assert.equal(isBulkWriteError({ writeErrors: [] }), true);
+    assert.equal(isBulkWriteError({ mongoose: {} }), true);
+    assert.equal(isBulkWriteError(new Error("network")), false);
+  });
+});
+
+describe("withRejectedOperations()", () => {
+  it("maps sent operations back and adds the rejected ones", () => {
+    const sent = summarizeBulkWrite(2, null, {
+      writeErrors: [{ index: 1, code: 11000, errmsg: "E11000 duplicate key" }],
+      result: { insertedCount: 1, insertedIds: { 0: "a" } },
+    });
+
+    const summary = withRejectedOperations(
+      sent,
+      [0, 2],
+      [{ index: 1, code: null, message: "invalid" }]
+    );
+
+    assert.equal(summary.insertedCount, 1);
+    assert.deepEqual(summary.insertedIds, { 0: "a" });
+    assert.deepEqual(
+      summary.errors.map(error => [error.index, error.code]),
+      [
+        [1, null],
+        [2, 11000],
+      ]
+    );
+  });
+});
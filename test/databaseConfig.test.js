@@ -0,0 +1,64 @@
+// databaseConfig.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDatabaseConfig } = require("../lib/databaseConfig");
+
+describe("parseDatabaseConfig()", () => {
+  it("maps db_* keys onto driver options", () => {
+    const { uri, options, readOnly } = parseDatabaseConfig({
+      db_url: "mongodb://host/app",
+      db_max_pool_size: 20,
+      db_write_concern: "2",
+      db_journal: true,
+      db_tls_ca_file: "/etc/ca.pem",
+      db_read_only: true,
+    });
+
+    assert.equal(uri, "mongodb://host/app");
+    assert.equal(readOnly, true);
+    assert.deepEqual(options, {
+      maxPoolSize: 20,
+      serverSelectionTimeoutMS: 10000,
+      tls: true,
+      tlsCAFile: "/etc/ca.pem",
+      writeConcern: { w: 2, journal: true },
+    });
+  });
+
+  it("leaves unset keys to the driver", () => {
+    const { options, readOnly } = parseDatabaseConfig({
+      db_url: "mongodb://host/app",
+    });
+
+    assert.deepEqual(options, { serverSelectionTimeoutMS: 10000 });
+    assert.equal(readOnly, false);
+  });
+
+  it("reports every invalid key in one error", () => {
+    assert.throws(
+      () =>
+        parseDatabaseConfig({
+          db_url: "mongodb://host/app",
+          db_read_preference: "closest",
+          db_write_concern: "all",
+          db_min_pool_size: 10,
+          db_max_pool_size: 5,
+        }),
+      error =>
+        /^Invalid database config: /.test(error.message) &&
+        error.message.includes("db_read_preference must be one of") &&
+        error.message.includes('db_write_concern must be "majority"') &&
+        error.message.includes(
+          "db_min_pool_size cannot exceed db_max_pool_size"
+        )
+    );
+  });
+
+  it("requires db_url", () => {
+    assert.throws(() => parseDatabaseConfig({}), /db_url/);
+  });
+});
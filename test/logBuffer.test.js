@@ -0,0 +1,116 @@
+// logBuffer.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const LogBuffer = require("../lib/logBuffer");
+
+/**
+ * Creates a LogBuffer recording every written batch and every failed one.
+ */
+function createBuffer(options = {}, write = async () => {}) {
+  const batches = [];
+  const failed = [];
+
+  const buffer = new LogBuffer({
+    flushIntervalMS: 60000,
+    ...options,
+    write: async batch => {
+      await write(batch);
+      batches.push(batch);
+    },
+    onError: (err, batch) => failed.push([err.message, batch]),
+  });
+
+  return { buffer, batches, failed };
+}
+
+describe("LogBuffer", () => {
+  it("writes in batches of batchSize", async () => {
+    const { buffer, batches } = createBuffer({ batchSize: 2 });
+
+    for (const entry of [1, 2, 3, 4, 5]) {
+      await buffer.push(entry);
+    }
+    await buffer.flush();
+
+    assert.deepEqual(batches.flat(), [1, 2, 3, 4, 5]);
+    assert.ok(batches.every(batch => batch.length <= 2));
+    assert.deepEqual(batches[0], [1, 2]);
+    assert.equal(buffer.size, 0);
+  });
+
+  it("flushes after flushIntervalMS", async () => {
+    const { buffer, batches } = createBuffer({ flushIntervalMS: 10 });
+
+    await buffer.push("a");
+    assert.deepEqual(batches, []);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepEqual(batches, [["a"]]);
+  });
+
+  it("drops the oldest entries when full", async () => {
+    const { buffer, batches } = createBuffer({ maxEntries: 2 });
+
+    for (const entry of ["a", "b", "c", "d"]) {
+      await buffer.push(entry);
+    }
+
+    assert.equal(buffer.size, 2);
+    assert.equal(buffer.dropped, 2);
+
+    await buffer.flush();
+    assert.deepEqual(batches, [["c", "d"]]);
+  });
+
+  it("makes push() wait for a flush when full and blocking", async () => {
+    let release;
+    const written = new Promise(resolve => {
+      release = resolve;
+    });
+    const { buffer, batches } = createBuffer(
+      { maxEntries: 2, overflow: "block" },
+      () => written
+    );
+
+    await buffer.push("a");
+    await buffer.push("b");
+
+    let queued = false;
+    const pushing = buffer.push("c").then(() => {
+      queued = true;
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(queued, false);
+
+    release();
+    await pushing;
+
+    assert.deepEqual(batches, [["a", "b"]]);
+    assert.equal(buffer.size, 1);
+    assert.equal(buffer.dropped, 0);
+  });
+
+  it("hands failed batches to onError and keeps going", async () => {
+    const { buffer, failed } = createBuffer(
+      { maxEntries: 1, overflow: "block" },
+      async () => {
+        throw new Error("offline");
+      }
+    );
+
+    await buffer.push("a");
+    await buffer.push("b");
+    await buffer.flush();
+
+    assert.deepEqual(failed, [
+      ["offline", ["a"]],
+      ["offline", ["b"]],
+    ]);
+    assert.equal(buffer.size, 0);
+  });
+});
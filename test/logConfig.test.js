@@ -0,0 +1,63 @@
+// logConfig.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseLogConfig } = require("../lib/logConfig");
+
+describe("parseLogConfig()", () => {
+  it("applies defaults", () => {
+    const settings = parseLogConfig({});
+
+    assert.equal(settings.collectionName, "logs");
+    assert.equal(settings.console, true);
+    assert.equal(settings.level, "info");
+    assert.equal(settings.consoleLevel, "info");
+    assert.equal(settings.overflow, "drop-oldest");
+    assert.deepEqual(settings.redactPaths, []);
+    assert.equal(settings.redactDefaults, true);
+  });
+
+  it("lets the console level default to the log level", () => {
+    assert.equal(parseLogConfig({ log_level: "warn" }).consoleLevel, "warn");
+    assert.equal(
+      parseLogConfig({ log_level: "debug", log_console_level: "error" })
+        .consoleLevel,
+      "error"
+    );
+  });
+
+  it("splits redaction lists", () => {
+    const settings = parseLogConfig({
+      log_redact_paths: " ssn, user.email ,",
+      log_redact_patterns: "\\d{4}-\\d{4}",
+    });
+
+    assert.deepEqual(settings.redactPaths, ["ssn", "user.email"]);
+    assert.deepEqual(settings.redactPatterns, ["\\d{4}-\\d{4}"]);
+  });
+
+  it("reports every invalid key in one error", () => {
+    assert.throws(
+      () =>
+        parseLogConfig({
+          log_level: "loud",
+          log_overflow: "spill",
+          log_capped: true,
+          log_expiration_days: 30,
+          log_redact_patterns: "ok,(unclosed",
+        }),
+      error =>
+        /^Invalid log config: /.test(error.message) &&
+        error.message.includes("log_level must be one of") &&
+        error.message.includes("log_overflow must be one of") &&
+        error.message.includes(
+          "log_capped cannot be combined with log_expiration_days"
+        ) &&
+        error.message.includes("log_max_size is required") &&
+        error.message.includes('invalid pattern "(unclosed"')
+    );
+  });
+});
@@ -0,0 +1,135 @@
+// logFormat.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { formatArgs, toSafeValue } = require("../lib/logFormat");
+
+describe("formatArgs()", () => {
+  it("joins the message and takes a trailing object as metadata", () => {
+    assert.deepEqual(formatArgs(["saved", 3, "items", { userId: 7 }]), {
+      message: "saved 3 items",
+      meta: { userId: 7 },
+    });
+  });
+
+  it("summarizes errors in the message and keeps them in the metadata", () => {
+    const error = new RangeError("too big");
+
+    const { message, meta } = formatArgs(["failed:", error]);
+
+    assert.equal(message, "failed: RangeError: too big");
+    assert.equal(meta.error, error);
+
+    const other = new Error("other");
+    assert.deepEqual(formatArgs([error, other]).meta, {
+      errors: [error, other],
+    });
+  });
+
+  it("stringifies other objects safely and redacted", () => {
+    const value = { a: 1, token: "t" };
+    value.self = value;
+
+    const { message } = formatArgs(["value", value, "end"], copy => ({
+      ...copy,
+      token: "[REDACTED]",
+    }));
+
+    assert.equal(
+      message,
+      'value {"a":1,"token":"[REDACTED]","self":"[Circular]"} end'
+    );
+  });
+});
+
+describe("toSafeValue()", () => {
+  it("replaces circular references", () => {
+    const parent = { name: "p", children: [] };
+    parent.children.push({ parent });
+
+    assert.deepEqual(toSafeValue(parent), {
+      name: "p",
+      children: [{ parent: "[Circular]" }],
+    });
+  });
+
+  it("keeps repeated but not circular references", () => {
+    const shared = { x: 1 };
+    assert.deepEqual(toSafeValue({ a: shared, b: shared }), {
+      a: { x: 1 },
+      b: { x: 1 },
+    });
+  });
+
+  it("serializes errors with their cause chain", () => {
+    const root = Object.assign(new Error("socket closed"), {
+      code: "ECONNRESET",
+    });
+    const error = new Error("query failed", { cause: root });
+    error.query = { find: "users" };
+
+    const safe = toSafeValue(error);
+
+    assert.equal(safe.name, "Error");
+    assert.equal(safe.message, "query failed");
+    assert.equal(typeof safe.stack, "string");
+    assert.deepEqual(safe.query, { find: "users" });
+    assert.equal(safe.cause.message, "socket closed");
+    assert.equal(safe.cause.code, "ECONNRESET");
+  });
+
+  it("survives an error that is its own cause", () => {
+    const error = new Error("loop");
+    error.cause = error;
+
+    assert.equal(toSafeValue(error).cause, "[Circular]");
+  });
+
+  it("turns values BSON cannot store into strings", () => {
+    const id = new ObjectId();
+    const at = new Date(0);
+
+    assert.deepEqual(
+      toSafeValue({
+        id,
+        at,
+        big: 10n,
+        fn: function named() {},
+        skip: undefined,
+        map: new Map([["k", 1]]),
+        set: new Set([1, 2]),
+      }),
+      {
+        id,
+        at,
+        big: "10",
+        fn: "[Function: named]",
+        map: { k: 1 },
+        set: [1, 2],
+      }
+    );
+  });
+
+  it("limits nesting depth", () => {
+    let deep = {};
+    const root = deep;
+    for (let i = 0; i < 20; i++) {
+      deep.next = {};
+      deep = deep.next;
+    }
+
+    let safe = toSafeValue(root);
+    let depth = 0;
+    while (typeof safe === "object") {
+      safe = safe.next;
+      depth += 1;
+    }
+
+    assert.equal(safe, "[Truncated]");
+    assert.equal(depth, 10);
+  });
+});
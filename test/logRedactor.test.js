@@ -0,0 +1,118 @@
+// logRedactor.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const LogRedactor = require("../lib/logRedactor");
+
+describe("LogRedactor", () => {
+  it("masks default keys at any depth, case-insensitively", () => {
+    const redactor = new LogRedactor();
+
+    assert.deepEqual(
+      redactor.redact({
+        user: "ann",
+        Password: "hunter2",
+        nested: { headers: { Authorization: "Bearer x" } },
+        list: [{ apiKey: "k" }],
+      }),
+      {
+        user: "ann",
+        Password: "[REDACTED]",
+        nested: { headers: { Authorization: "[REDACTED]" } },
+        list: [{ apiKey: "[REDACTED]" }],
+      }
+    );
+  });
+
+  it("matches dotted paths from the top, skipping array indexes", () => {
+    const redactor = new LogRedactor({ paths: ["user.email"] });
+
+    assert.deepEqual(
+      redactor.redact({
+        user: { email: "a@x", name: "Ann" },
+        users: [{ email: "b@x" }],
+        other: { user: { email: "c@x" } },
+      }),
+      {
+        user: { email: "[REDACTED]", name: "Ann" },
+        users: [{ email: "b@x" }],
+        other: { user: { email: "c@x" } },
+      }
+    );
+    assert.deepEqual(redactor.redact({ user: [{ email: "a@x" }] }), {
+      user: [{ email: "[REDACTED]" }],
+    });
+  });
+
+  it("masks connection URI credentials in strings", () => {
+    const redactor = new LogRedactor();
+
+    assert.equal(
+      redactor.redactString("connect mongodb://u:p@ss@host/app failed"),
+      "connect mongodb://[REDACTED]@host/app failed"
+    );
+    assert.equal(
+      redactor.redact({ url: "mongodb+srv://u:p@cluster/app" }).url,
+      "mongodb+srv://[REDACTED]@cluster/app"
+    );
+  });
+
+  it("applies custom patterns and mask", () => {
+    const redactor = new LogRedactor({
+      patterns: [/\d{4}-\d{4}/, "ssn=\\S+"],
+      mask: "***",
+    });
+
+    assert.equal(
+      redactor.redactString("card 1234-5678, SSN=123 and 8765-4321"),
+      "card ***, *** and ***"
+    );
+  });
+
+  it("can leave out the defaults", () => {
+    const redactor = new LogRedactor({ defaults: false, paths: ["pin"] });
+
+    assert.deepEqual(redactor.redact({ password: "x", pin: 1 }), {
+      password: "x",
+      pin: "[REDACTED]",
+    });
+    assert.equal(
+      redactor.redactString("mongodb://u:p@host"),
+      "mongodb://u:p@host"
+    );
+  });
+
+  it("redacts errors without changing the original", () => {
+    const redactor = new LogRedactor();
+    const error = new TypeError("failed for mongodb://u:p@host");
+    error.token = "abc";
+    error.cause = { password: "x" };
+
+    const copy = redactor.redact(error);
+
+    assert.ok(copy instanceof TypeError);
+    assert.equal(copy.message, "failed for mongodb://[REDACTED]@host");
+    assert.equal(copy.token, "[REDACTED]");
+    assert.deepEqual(copy.cause, { password: "[REDACTED]" });
+    assert.doesNotMatch(copy.stack, /u:p@/);
+    assert.equal(error.token, "abc");
+  });
+
+  it("handles circular references and leaves class instances alone", () => {
+    const redactor = new LogRedactor();
+    const id = new ObjectId();
+    const value = { id, at: new Date(0), secret: "s" };
+    value.self = value;
+
+    const copy = redactor.redact(value);
+
+    assert.equal(copy.id, id);
+    assert.equal(copy.at, value.at);
+    assert.equal(copy.secret, "[REDACTED]");
+    assert.equal(copy.self, "[Circular]");
+  });
+});
@@ -0,0 +1,202 @@
+// memoryDatabase.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { MemoryDatabase, MongoConflictError, MongoModel } = require("..");
+
+class UserModel extends MongoModel {
+  get softDelete() {
+    return true;
+  }
+
+  schema() {
+    return new mongoose.Schema(
+      {
+        name: { type: String, required: true },
+        email: { type: String, unique: true },
+        age: { type: Number, default: 18 },
+        tags: [String],
+      },
+      { timestamps: true }
+    );
+  }
+}
+
+describe("MemoryDatabase", () => {
+  let tenant;
+  let users;
+
+  beforeEach(async () => {
+    tenant = { id: "test" };
+    tenant.db = new MemoryDatabase({}, tenant);
+    await tenant.db.connect();
+    users = new UserModel(tenant);
+  });
+
+  it("casts and defaults documents through the schema", async () => {
+    const user = await users.create({ name: "Ann", email: "a@x", age: "30" });
+
+    assert.ok(user._id instanceof mongoose.Types.ObjectId);
+    assert.equal(user.age, 30);
+    assert.ok(user.createdAt instanceof Date);
+    assert.equal((await users.create({ name: "Bob", email: "b@x" })).age, 18);
+  });
+
+  it("rejects documents failing schema validation", async () => {
+    await assert.rejects(users.create({ email: "c@x" }), {
+      name: "ValidationError",
+    });
+  });
+
+  it("enforces unique indexes", async () => {
+    await users.create({ name: "Ann", email: "a@x" });
+    await assert.rejects(users.create({ name: "Dup", email: "a@x" }), {
+      code: 11000,
+    });
+  });
+
+  it("queries, projects and sorts", async () => {
+    await users.create({ name: "Ann", email: "a@x", age: 30, tags: ["x"] });
+    await users.create({ name: "Bob", email: "b@x", age: 40 });
+
+    const older = await users.find(
+      { age: { $gt: 20 } },
+      {},
+      { sort: { age: -1 } }
+    );
+    assert.deepEqual(
+      older.map(user => user.name),
+      ["Bob", "Ann"]
+    );
+
+    const ann = await users.findOne({ tags: "x" }, { name: 1 });
+    assert.deepEqual(Object.keys(ann).sort(), ["_id", "name"]);
+
+    assert.equal((await users.findById(String(ann._id))).email, "a@x");
+    assert.equal(await users.count({ age: { $gte: 30 } }), 2);
+  });
+
+  it("checks versions on update", async () => {
+    const user = await users.create({ name: "Ann", email: "a@x" });
+
+    const updated = await users.updateById(
+      user._id,
+      { age: 31 },
+      { version: 0 }
+    );
+    assert.equal(updated.age, 31);
+    assert.equal(updated.__v, 1);
+
+    await assert.rejects(
+      users.updateById(user._id, { age: 32 }, { version: 0 }),
+      MongoConflictError
+    );
+  });
+
+  it("soft deletes and restores documents", async () => {
+    const user = await users.create({ name: "Ann", email: "a@x" });
+
+    await users.deleteById(user._id, { actor: "admin" });
+    assert.equal(await users.findById(user._id), null);
+    assert.equal((await users.findWithDeleted()).length, 1);
+
+    await users.restoreById(user._id);
+    assert.equal((await users.findById(user._id)).name, "Ann");
+  });
+
+  it("reports bulk write errors by operation index", async () => {
+    await users.create({ name: "Ann", email: "a@x" });
+
+    const result = await users.bulkWrite(
+      [
+        { insertOne: { document: { name: "Cy", email: "c@x" } } },
+        { insertOne: { document: { name: "Dup", email: "a@x" } } },
+        {
+          updateOne: { filter: { name: "Ann" }, update: { $inc: { age: 1 } } },
+        },
+      ],
+      { ordered: false }
+    );
+
+    assert.equal(result.ok, false);
+    assert.equal(result.insertedCount, 1);
+    assert.equal(result.modifiedCount, 1);
+    assert.deepEqual(
+      result.errors.map(error => [error.index, error.code]),
+      [[1, 11000]]
+    );
+  });
+
+  it("rolls back a failed transaction", async () => {
+    await users.create({ name: "Ann", email: "a@x" });
+
+    await assert.rejects(
+      tenant.db.withTransaction(async () => {
+        await users.create({ name: "Tx", email: "t@x" });
+        await users.updateMany({}, { $set: { age: 99 } });
+        throw new Error("boom");
+      }),
+      /boom/
+    );
+
+    assert.deepEqual(
+      (await users.find()).map(user => [user.name, user.age]),
+      [["Ann", 18]]
+    );
+  });
+
+  it("loads fixtures and resets", async () => {
+    const inserted = await tenant.db.loadFixtures({
+      [users.name]: [
+        {
+          _id: { $oid: "64b7f0000000000000000001" },
+          name: "Fix",
+          email: "f@x",
+        },
+      ],
+    });
+
+    assert.deepEqual(inserted, { [users.name]: 1 });
+    assert.equal(
+      (await users.findById("64b7f0000000000000000001")).name,
+      "Fix"
+    );
+
+    assert.deepEqual(await tenant.db.reset(), [users.name]);
+    assert.equal(await users.count(), 0);
+  });
+
+  it("rejects fixtures for unregistered models", async () => {
+    await assert.rejects(
+      tenant.db.loadFixtures({ order: [{}] }),
+      /unregistered models: order/
+    );
+  });
+
+  it("refuses writes when read-only", async () => {
+    const readOnly = { id: "replica" };
+    readOnly.db = new MemoryDatabase({ db_read_only: "true" }, readOnly);
+    await readOnly.db.connect();
+    const replicaUsers = new UserModel(readOnly);
+
+    await assert.rejects(replicaUsers.create({ name: "Ann" }), /read-only/);
+    await assert.rejects(
+      readOnly.db.loadFixtures({ [replicaUsers.name]: [] }),
+      /read-only/
+    );
+    assert.deepEqual(await replicaUsers.find(), []);
+  });
+
+  it("reports its state", async () => {
+    assert.equal(tenant.db.state, "connected");
+    assert.equal((await tenant.db.health()).ok, true);
+
+    await tenant.db.disconnect();
+    assert.equal(tenant.db.state, "disconnected");
+    assert.equal((await tenant.db.health()).ok, false);
+  });
+});
@@ -0,0 +1,206 @@
+// memoryQuery.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  applyUpdate,
+  matches,
+  project,
+  sortDocuments,
+  upsertBase,
+} = require("../lib/memoryQuery");
+
+describe("matches()", () => {
+  const document = {
+    _id: new ObjectId("64b7f0000000000000000001"),
+    name: "Ann",
+    age: 30,
+    tags: ["a", "b"],
+    address: { city: "Oslo" },
+    items: [{ sku: "x", qty: 2 }],
+  };
+
+  it("compares fields and dotted paths", () => {
+    assert.equal(
+      matches(document, { name: "Ann", "address.city": "Oslo" }),
+      true
+    );
+    assert.equal(matches(document, { age: { $gt: 20, $lte: 30 } }), true);
+    assert.equal(matches(document, { age: { $lt: 30 } }), false);
+  });
+
+  it("matches ids by value", () => {
+    const _id = new ObjectId("64b7f0000000000000000001");
+    assert.equal(matches(document, { _id }), true);
+    assert.equal(matches(document, { _id: { $in: [_id] } }), true);
+  });
+
+  it("matches array elements", () => {
+    assert.equal(matches(document, { tags: "b" }), true);
+    assert.equal(matches(document, { tags: { $all: ["a", "b"] } }), true);
+    assert.equal(matches(document, { tags: { $size: 3 } }), false);
+    assert.equal(
+      matches(document, {
+        items: { $elemMatch: { sku: "x", qty: { $gt: 1 } } },
+      }),
+      true
+    );
+  });
+
+  it("combines conditions with $and, $or and $nor", () => {
+    assert.equal(
+      matches(document, { $or: [{ name: "Bob" }, { age: 30 }] }),
+      true
+    );
+    assert.equal(matches(document, { $nor: [{ name: "Ann" }] }), false);
+    assert.equal(
+      matches(document, { $and: [{ name: /^a/i }, { missing: null }] }),
+      true
+    );
+  });
+
+  it("checks existence", () => {
+    assert.equal(matches(document, { missing: { $exists: false } }), true);
+    assert.equal(matches(document, { name: { $exists: true } }), true);
+  });
+
+  it("rejects unsupported operators", () => {
+    assert.throws(
+      () => matches(document, { $where: "true" }),
+      /Unsupported query operator "\$where"/
+    );
+  });
+});
+
+describe("project()", () => {
+  const document = {
+    _id: 1,
+    name: "Ann",
+    age: 30,
+    address: { city: "Oslo", zip: "0150" },
+  };
+
+  it("keeps included fields and _id", () => {
+    assert.deepEqual(project(document, { name: 1, "address.city": 1 }), {
+      _id: 1,
+      name: "Ann",
+      address: { city: "Oslo" },
+    });
+  });
+
+  it("drops excluded fields", () => {
+    assert.deepEqual(project(document, { _id: 0, address: 0 }), {
+      name: "Ann",
+      age: 30,
+    });
+  });
+
+  it("returns a copy without a projection", () => {
+    const copy = project(document);
+    assert.deepEqual(copy, document);
+    assert.notEqual(copy.address, document.address);
+  });
+});
+
+describe("applyUpdate()", () => {
+  const document = {
+    name: "Ann",
+    age: 30,
+    tags: ["a"],
+    address: { city: "Oslo" },
+  };
+
+  it("treats a plain update as $set", () => {
+    assert.deepEqual(applyUpdate(document, { age: 31 }), {
+      ...document,
+      age: 31,
+    });
+  });
+
+  it("applies field operators without changing the original", () => {
+    const updated = applyUpdate(document, {
+      $set: { "address.city": "Bergen" },
+      $inc: { age: 2 },
+      $unset: { name: "" },
+      $addToSet: { tags: { $each: ["a", "b"] } },
+    });
+
+    assert.deepEqual(updated, {
+      age: 32,
+      tags: ["a", "b"],
+      address: { city: "Bergen" },
+    });
+    assert.equal(document.age, 30);
+    assert.equal(document.address.city, "Oslo");
+  });
+
+  it("applies array operators", () => {
+    const updated = applyUpdate(
+      { tags: ["a", "b", "c"] },
+      { $pull: { tags: "b" } }
+    );
+    assert.deepEqual(applyUpdate(updated, { $pop: { tags: 1 } }), {
+      tags: ["a"],
+    });
+  });
+
+  it("applies $setOnInsert only when inserting", () => {
+    const update = { $setOnInsert: { createdBy: "me" } };
+    assert.deepEqual(applyUpdate({}, update), {});
+    assert.deepEqual(applyUpdate({}, update, { inserting: true }), {
+      createdBy: "me",
+    });
+  });
+
+  it("rejects unsupported operators", () => {
+    assert.throws(
+      () => applyUpdate(document, { $bit: { age: { and: 1 } } }),
+      /Unsupported update operator "\$bit"/
+    );
+  });
+});
+
+describe("upsertBase()", () => {
+  it("starts from the filter's equality fields", () => {
+    assert.deepEqual(
+      upsertBase({
+        code: "x",
+        "meta.kind": { $eq: "y" },
+        age: { $gt: 1 },
+        $or: [],
+      }),
+      { code: "x", meta: { kind: "y" } }
+    );
+  });
+});
+
+describe("sortDocuments()", () => {
+  const documents = [
+    { name: "b", age: 2 },
+    { name: "a", age: 2 },
+    { name: "c", age: 1 },
+  ];
+
+  it("sorts by several fields and directions", () => {
+    assert.deepEqual(
+      sortDocuments(documents, { age: -1, name: 1 }).map(d => d.name),
+      ["a", "b", "c"]
+    );
+  });
+
+  it("accepts a sort string", () => {
+    assert.deepEqual(
+      sortDocuments(documents, "-name").map(d => d.name),
+      ["c", "b", "a"]
+    );
+  });
+
+  it("returns a sorted copy", () => {
+    sortDocuments(documents, "name");
+    assert.equal(documents[0].name, "b");
+  });
+});
@@ -0,0 +1,166 @@
+// mongoConnectionRegistry.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const MongoConnectionRegistry = require("../lib/mongoConnectionRegistry");
+
+/**
+ * Replaces `mongoose.createConnection()` with a client that never connects,
+ * recording every client the registry opens.
+ */
+function fakeClients() {
+  const clients = [];
+
+  mock.method(mongoose, "createConnection", (uri, options) => {
+    const client = {
+      uri,
+      options,
+      closed: false,
+      otherDbs: [],
+      useDb(name) {
+        const connection = { name };
+        this.otherDbs.push(connection);
+        return connection;
+      },
+      async close() {
+        this.closed = true;
+      },
+    };
+    clients.push(client);
+    return { asPromise: async () => client };
+  });
+
+  return clients;
+}
+
+describe("MongoConnectionRegistry", () => {
+  let clients;
+
+  beforeEach(() => {
+    clients = fakeClients();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("shares one client per cluster and options", async () => {
+    const registry = new MongoConnectionRegistry();
+
+    const a = await registry.acquire("mongodb://host/one?replicaSet=rs0");
+    const b = await registry.acquire("mongodb://host/two?replicaSet=rs0");
+    const c = await registry.acquire("mongodb://host/one?replicaSet=rs0", {
+      maxPoolSize: 5,
+    });
+
+    assert.equal(clients.length, 2);
+    assert.equal(clients[0].uri, "mongodb://host/?replicaSet=rs0");
+    assert.deepEqual(clients[0].options, {});
+    assert.deepEqual([a.name, b.name, c.name], ["one", "two", "one"]);
+    assert.deepEqual(registry.stats(), { clusters: 2, tenants: 3, idle: 0 });
+  });
+
+  it("authenticates credentials against the database path", async () => {
+    const registry = new MongoConnectionRegistry();
+
+    await registry.acquire("mongodb://u:p@host/one");
+    await registry.acquire("mongodb://u:p@host/two?authSource=admin");
+    await registry.acquire("mongodb+srv://u:p@cluster.example.net/one");
+    await registry.acquire(
+      "mongodb://CN=u@host/one?authMechanism=MONGODB-X509"
+    );
+
+    assert.equal(clients[0].uri, "mongodb://u:p@host/");
+    assert.equal(clients[0].options.authSource, "one");
+    assert.equal(clients[1].options.authSource, undefined);
+    assert.equal(clients[2].options.authSource, undefined);
+    assert.equal(clients[3].options.authSource, undefined);
+  });
+
+  it("returns a separate connection for every acquire", async () => {
+    const registry = new MongoConnectionRegistry();
+
+    const first = await registry.acquire("mongodb://host/app");
+    const second = await registry.acquire("mongodb://host/app");
+
+    assert.notEqual(first, second);
+    assert.deepEqual(registry.stats(), { clusters: 1, tenants: 1, idle: 0 });
+  });
+
+  it("closes the client once the last tenant is released", async () => {
+    const registry = new MongoConnectionRegistry();
+
+    const first = await registry.acquire("mongodb://host/app");
+    const second = await registry.acquire("mongodb://host/app");
+    const other = await registry.acquire("mongodb://host/other");
+
+    await registry.release(first);
+    await registry.release(first);
+    assert.deepEqual(registry.stats(), { clusters: 1, tenants: 2, idle: 0 });
+
+    await registry.release(second);
+    assert.deepEqual(registry.stats(), { clusters: 1, tenants: 1, idle: 0 });
+    assert.equal(clients[0].closed, false);
+
+    await registry.release(other);
+    assert.deepEqual(registry.stats(), { clusters: 0, tenants: 0, idle: 0 });
+    assert.equal(clients[0].closed, true);
+    assert.deepEqual(clients[0].otherDbs, []);
+  });
+
+  it("keeps released tenants warm for idleTimeoutMS", async () => {
+    const registry = new MongoConnectionRegistry({ idleTimeoutMS: 20 });
+
+    await registry.release(await registry.acquire("mongodb://host/app"));
+    assert.deepEqual(registry.stats(), { clusters: 1, tenants: 1, idle: 1 });
+
+    // Reacquiring cancels the eviction
+    const connection = await registry.acquire("mongodb://host/app");
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepEqual(registry.stats(), { clusters: 1, tenants: 1, idle: 0 });
+
+    await registry.release(connection);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepEqual(registry.stats(), { clusters: 0, tenants: 0, idle: 0 });
+    assert.equal(clients.length, 1);
+    assert.equal(clients[0].closed, true);
+  });
+
+  it("evicts the least recently used idle tenants beyond maxIdleTenants", async () => {
+    const registry = new MongoConnectionRegistry({
+      idleTimeoutMS: 60000,
+      maxIdleTenants: 1,
+    });
+
+    const a = await registry.acquire("mongodb://host/a");
+    const b = await registry.acquire("mongodb://host/b");
+
+    await registry.release(a);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await registry.release(b);
+
+    assert.deepEqual(registry.stats(), { clusters: 1, tenants: 1, idle: 1 });
+    await registry.closeAll();
+    assert.equal(clients[0].closed, true);
+  });
+
+  it("forgets a cluster whose client failed to connect", async () => {
+    mock.restoreAll();
+    mock.method(mongoose, "createConnection", () => ({
+      asPromise: async () => {
+        throw new Error("connect ECONNREFUSED");
+      },
+    }));
+    const registry = new MongoConnectionRegistry();
+
+    await assert.rejects(
+      registry.acquire("mongodb://host/app"),
+      /ECONNREFUSED/
+    );
+    assert.deepEqual(registry.stats(), { clusters: 0, tenants: 0, idle: 0 });
+  });
+});
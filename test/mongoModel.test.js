@@ -0,0 +1,146 @@
+// mongoModel.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Schema = require("zyx-schema");
+const { MemoryDatabase, MongoModel, MongoValidationError } = require("..");
+
+const { stringType } = Schema.types;
+
+class ProductModel extends MongoModel {
+  schema() {
+    return new mongoose.Schema({ code: String, title: String });
+  }
+
+  validationSchema() {
+    return new Schema({ title: stringType({ required: true }) });
+  }
+}
+
+describe("MongoModel validation", () => {
+  let products;
+
+  beforeEach(async () => {
+    const tenant = { id: "test" };
+    tenant.db = new MemoryDatabase({}, tenant);
+    await tenant.db.connect();
+    products = new ProductModel(tenant);
+  });
+
+  it("rejects invalid data in create()", async () => {
+    await assert.rejects(products.create({ code: "a" }), MongoValidationError);
+    assert.equal(await products.count(), 0);
+  });
+
+  it("validates the fields an update writes", async () => {
+    const product = await products.create({ code: "a", title: "A" });
+
+    await assert.rejects(
+      products.updateById(product._id, { $unset: { title: 1 } }),
+      MongoValidationError
+    );
+    assert.equal(
+      (await products.updateById(product._id, { code: "b" })).code,
+      "b"
+    );
+  });
+
+  it("reports invalid documents of an unordered bulk write per index", async () => {
+    const result = await products.createMany(
+      [{ title: "a" }, { code: "x" }, { title: "c" }],
+      { ordered: false }
+    );
+
+    assert.equal(result.ok, false);
+    assert.equal(result.insertedCount, 2);
+    assert.deepEqual(Object.keys(result.insertedIds), ["0", "2"]);
+    assert.deepEqual(
+      result.errors.map(error => [error.index, error.code]),
+      [[1, null]]
+    );
+    assert.equal(await products.count(), 2);
+  });
+
+  it("stops an ordered bulk write before the first invalid document", async () => {
+    const result = await products.bulkWrite([
+      { insertOne: { document: { title: "a" } } },
+      { replaceOne: { filter: {}, replacement: { code: "x" } } },
+      { insertOne: { document: { title: "c" } } },
+    ]);
+
+    assert.equal(result.insertedCount, 1);
+    assert.deepEqual(
+      result.errors.map(error => error.index),
+      [1]
+    );
+    assert.deepEqual(
+      (await products.find()).map(product => product.title),
+      ["a"]
+    );
+  });
+
+  it("validates whole documents in upsert()", async () => {
+    const result = await products.upsert(
+      [{ code: "a", title: "A" }, { code: "b" }],
+      { key: "code", ordered: false }
+    );
+
+    assert.equal(result.upsertedCount, 1);
+    assert.deepEqual(Object.keys(result.upsertedIds), ["0"]);
+    assert.deepEqual(
+      result.errors.map(error => error.index),
+      [1]
+    );
+  });
+});
+
+class NoteModel extends MongoModel {
+  get trackHistory() {
+    return true;
+  }
+
+  schema() {
+    return new mongoose.Schema({ text: String });
+  }
+}
+
+describe("MongoModel history", () => {
+  let tenant;
+  let notes;
+
+  beforeEach(async () => {
+    tenant = { id: "test" };
+    tenant.db = new MemoryDatabase({}, tenant);
+    await tenant.db.connect();
+    notes = new NoteModel(tenant);
+
+    const history = tenant.db.getModel(`${notes.name}_history`);
+    mock.method(history, "create", async () => {
+      throw new Error("history unavailable");
+    });
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("keeps a stored change when its history entry fails", async () => {
+    const note = await notes.create({ text: "a" });
+
+    assert.equal((await notes.updateById(note._id, { text: "b" })).text, "b");
+    assert.equal(console.error.mock.callCount(), 2);
+  });
+
+  it("rolls back a transaction when its history entry fails", async () => {
+    await assert.rejects(
+      tenant.db.withTransaction(() => notes.create({ text: "a" })),
+      /history unavailable/
+    );
+    assert.equal(await notes.count(), 0);
+  });
+});
@@ -0,0 +1,70 @@
+// mongoUri.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseMongoUri } = require("../lib/mongoUri");
+
+describe("parseMongoUri()", () => {
+  it("splits the cluster and database", () => {
+    assert.deepEqual(parseMongoUri("mongodb://localhost:27017/app"), {
+      clusterUri: "mongodb://localhost:27017/",
+      dbName: "app",
+      isSrv: false,
+      hasCredentials: false,
+      authSource: null,
+      authMechanism: null,
+    });
+  });
+
+  it("keeps the query on the cluster URI", () => {
+    const parsed = parseMongoUri(
+      "mongodb+srv://user:pw@cluster.example.net/app?retryWrites=true&authSource=admin"
+    );
+
+    assert.equal(
+      parsed.clusterUri,
+      "mongodb+srv://user:pw@cluster.example.net/?retryWrites=true&authSource=admin"
+    );
+    assert.equal(parsed.dbName, "app");
+    assert.equal(parsed.isSrv, true);
+    assert.equal(parsed.hasCredentials, true);
+    assert.equal(parsed.authSource, "admin");
+  });
+
+  it("reads the auth mechanism", () => {
+    const parsed = parseMongoUri(
+      "mongodb://CN=user@host/app?authMechanism=MONGODB-X509"
+    );
+    assert.equal(parsed.authMechanism, "MONGODB-X509");
+  });
+
+  it("handles several hosts and a query without a database", () => {
+    const parsed = parseMongoUri("mongodb://a:1,b:2/?replicaSet=rs0");
+    assert.equal(parsed.clusterUri, "mongodb://a:1,b:2/?replicaSet=rs0");
+    assert.equal(parsed.dbName, null);
+  });
+
+  it("tolerates / and ? in credentials", () => {
+    const parsed = parseMongoUri("mongodb://us/er:p?w@host/app");
+    assert.equal(parsed.clusterUri, "mongodb://us/er:p?w@host/");
+    assert.equal(parsed.dbName, "app");
+  });
+
+  it("decodes the database name", () => {
+    assert.equal(parseMongoUri("mongodb://host/my%20db").dbName, "my db");
+  });
+
+  it("rejects other schemes", () => {
+    assert.throws(
+      () => parseMongoUri("postgres://host/app"),
+      /Invalid MongoDB connection URI/
+    );
+    assert.throws(
+      () => parseMongoUri(undefined),
+      /Invalid MongoDB connection URI/
+    );
+  });
+});
@@ -0,0 +1,91 @@
+// pagination.test.js:
+
+"use strict";
+
+// load all necessary modules
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  decodeCursor,
+  encodeCursor,
+  keysetFilter,
+  keysetOrder,
+  keysetSort,
+} = require("../lib/pagination");
+
+describe("keysetSort()", () => {
+  it("normalizes a single-field sort", () => {
+    assert.deepEqual(keysetSort({ createdAt: "desc" }), {
+      field: "createdAt",
+      direction: -1,
+    });
+    assert.deepEqual(keysetSort({ name: 1, _id: 1 }), {
+      field: "name",
+      direction: 1,
+    });
+    assert.deepEqual(keysetSort({ _id: -1 }), { field: "_id", direction: -1 });
+  });
+
+  it("rejects sorts on several fields", () => {
+    assert.equal(keysetSort({ a: 1, b: 1 }), null);
+    assert.equal(keysetSort({}), null);
+  });
+});
+
+describe("keysetOrder()", () => {
+  it("adds _id as tie-breaker", () => {
+    assert.deepEqual(keysetOrder({ field: "age", direction: -1 }), {
+      age: -1,
+      _id: -1,
+    });
+    assert.deepEqual(keysetOrder({ field: "_id", direction: 1 }), { _id: 1 });
+  });
+});
+
+describe("keysetFilter()", () => {
+  it("selects documents after the position", () => {
+    assert.deepEqual(
+      keysetFilter({ field: "age", direction: 1 }, { value: 30, id: 5 }),
+      { $or: [{ age: { $gt: 30 } }, { age: 30, _id: { $gt: 5 } }] }
+    );
+    assert.deepEqual(
+      keysetFilter({ field: "_id", direction: -1 }, { value: 5, id: 5 }),
+      { _id: { $lt: 5 } }
+    );
+  });
+});
+
+describe("encodeCursor() and decodeCursor()", () => {
+  it("round-trip BSON values", () => {
+    const _id = new ObjectId();
+    const createdAt = new Date("2024-01-02T03:04:05Z");
+
+    const cursor = encodeCursor({ _id, meta: { createdAt } }, "meta.createdAt");
+    const { value, id } = decodeCursor(cursor, "meta.createdAt");
+
+    assert.match(cursor, /^[\w-]+$/);
+    assert.ok(value instanceof Date);
+    assert.equal(value.getTime(), createdAt.getTime());
+    assert.ok(id instanceof ObjectId);
+    assert.ok(id.equals(_id));
+  });
+
+  it("reads mongoose documents through get()", () => {
+    const document = { get: path => ({ _id: 1, name: "Ann" }[path]) };
+    assert.deepEqual(decodeCursor(encodeCursor(document, "name"), "name"), {
+      value: "Ann",
+      id: 1,
+    });
+  });
+
+  it("rejects malformed cursors and cursors of another sort", () => {
+    assert.throws(() => decodeCursor("not a cursor", "name"), {
+      message: "Invalid pagination cursor.",
+    });
+    assert.throws(
+      () => decodeCursor(encodeCursor({ _id: 1, age: 2 }, "age"), "name"),
+      /does not match sort field "name"/
+    );
+  });
+});